@@ -0,0 +1,19 @@
+// cluster.js - Запуск сервера в нескольких процессах с шардированием матчей
+// Основной процесс маршрутизирует соединения, рабочие процессы выполняют server.js
+const cluster = require("cluster");
+const crypto = require("crypto");
+const { startPrimary } = require("./lib/cluster");
+const { loadConfigOrExit } = require("./lib/config");
+
+if (cluster.isPrimary) {
+  // Порт и число рабочих процессов берутся из той же конфигурации, что и у сервера
+  const { config } = loadConfigOrExit();
+  // Без заданного секрета все процессы должны подписывать токены одним
+  // временным секретом, иначе токен одного процесса не примет другой
+  if (!config.auth.secret) {
+    process.env.AUTH_SECRET = crypto.randomBytes(32).toString("hex");
+  }
+  startPrimary({ port: config.server.port, workers: config.cluster.workers });
+} else {
+  require("./server");
+}
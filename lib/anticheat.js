@@ -0,0 +1,124 @@
+// lib/anticheat.js - Проверка данных о шайбе, присланных клиентами
+// Сервер остается источником истины: данные клиента в состояние не попадают,
+// а невозможные относительно серверной симуляции отмечаются как подозрительные
+const { DEFAULT_PHYSICS } = require("./simulation");
+const { DEFAULT_ARENAS, containsPuck } = require("./arena");
+const { createModifiers } = require("./powerups");
+
+const MAX_CORRECTION_AGE = 200; // Корректировки старше 200 мс устарели
+// За сколько последних мс учитываются метки времени для оценки сдвига часов
+// клиента: после перевода часов клиента оценка восстанавливается
+const CLOCK_SYNC_WINDOW = 10000;
+const SPEED_TOLERANCE = 1.1; // Запас на погрешность округления скорости
+// Минимальное окно времени для проверки смещения: клиент предсказывает
+// движение шайбы и может опережать сервер даже со свежей меткой времени
+const MIN_DISPLACEMENT_WINDOW = 100;
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isVector(value) {
+  return Boolean(value) && isFiniteNumber(value.x) && isFiniteNumber(value.y);
+}
+
+// Оценка сдвига часов клиента по его меткам времени
+function createClockSync() {
+  return { samples: [] };
+}
+
+// Возраст корректировки с меткой timestamp по часам клиента (мс)
+// Часам клиента напрямую верить нельзя: они могут отличаться от серверных
+// на любую величину. Самая быстрая доставка за окно CLOCK_SYNC_WINDOW
+// принимается за доставку без задержки, то есть за половину пинга latency,
+// измеренного сервером; остальные корректировки старше нее на величину
+// своей дополнительной задержки
+function correctionAge(clock, timestamp, now, latency) {
+  const transit = now - timestamp;
+  clock.samples.push({ at: now, transit });
+  while (clock.samples[0].at < now - CLOCK_SYNC_WINDOW) {
+    clock.samples.shift();
+  }
+
+  const fastest = Math.min(...clock.samples.map(sample => sample.transit));
+  const oneWay = Number.isFinite(latency) ? latency / 2 : 0;
+  return transit - fastest + oneWay;
+}
+
+// Проверить корректировку шайбы puckId от клиента
+// timing - время сервера now, оценка часов клиента clock из createClockSync
+// и пинг клиента latency, измеренный сервером (мс)
+// physics - параметры стола матча (радиус шайбы и максимальная скорость)
+// arena - форма стола: шайба может быть в воротах, но не в скруглении угла
+// modifiers - поправки бонусов (разгон шайбы, ширина ворот)
+// Возвращает { valid: true, puck } с серверной шайбой
+// или { valid: false, reason, details }
+function validatePuckCorrection(
+  { puckId, puckPos, puckVelocity, timestamp },
+  gameState,
+  { now, clock, latency },
+  physics = DEFAULT_PHYSICS,
+  arena = DEFAULT_ARENAS.classic,
+  modifiers = createModifiers()
+) {
+  const { puckRadius, goalWidth } = physics;
+  const maxSpeed = physics.maxSpeed * modifiers.speedScale;
+
+  if (
+    !isVector(puckPos) ||
+    !isVector(puckVelocity) ||
+    !isFiniteNumber(timestamp)
+  ) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  const puck = gameState.pucks.find(p => p.id === puckId);
+  if (!puck) {
+    return { valid: false, reason: "unknownPuck", details: { puckId } };
+  }
+
+  const age = correctionAge(clock, timestamp, now, latency);
+  if (age > MAX_CORRECTION_AGE) {
+    return { valid: false, reason: "staleTimestamp", details: { age } };
+  }
+
+  const goalWidths = {
+    1: goalWidth * modifiers.goalScale[1],
+    2: goalWidth * modifiers.goalScale[2],
+  };
+  if (
+    !containsPuck(gameState.canvasSize, arena, puckRadius, goalWidths, puckPos)
+  ) {
+    return { valid: false, reason: "outOfBounds", details: { puckPos } };
+  }
+
+  const speed = Math.sqrt(
+    puckVelocity.x * puckVelocity.x + puckVelocity.y * puckVelocity.y
+  );
+  if (speed > maxSpeed * SPEED_TOLERANCE) {
+    return { valid: false, reason: "impossibleSpeed", details: { speed } };
+  }
+
+  // Шайба не могла уйти от серверной позиции дальше, чем позволяет скорость
+  const dx = puckPos.x - puck.pos.x;
+  const dy = puckPos.y - puck.pos.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  // Скорость задана в пикселях за кадр 60 FPS
+  const maxDistance =
+    (maxSpeed * 60 * Math.max(age, MIN_DISPLACEMENT_WINDOW)) / 1000 +
+    puckRadius * 2;
+  if (distance > maxDistance) {
+    return {
+      valid: false,
+      reason: "impossibleDisplacement",
+      details: { distance, maxDistance },
+    };
+  }
+
+  return { valid: true, puck };
+}
+
+module.exports = {
+  createClockSync,
+  validatePuckCorrection,
+};
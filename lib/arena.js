@@ -0,0 +1,289 @@
+// lib/arena.js - Геометрия стола: скругленные углы, штанги и ворота
+// Арена задается данными: размер стола, радиус скругления углов, радиус
+// штанг и глубина ворот. Ширина ворот остается правилом матча (goalWidth),
+// ее меняют бонусы. Свои арены добавляются настройкой game.arenas.
+//
+// Для физики стол описывается набором препятствий для центра шайбы:
+// отрезков стен (line), дуг углов изнутри (arc), штанг (post) и линий ворот.
+// Гол засчитывается, когда шайба целиком пересекла линию ворот.
+
+// Встроенные арены; размеры в единицах стола
+const DEFAULT_ARENAS = {
+  classic: {
+    width: 500,
+    height: 1000,
+    cornerRadius: 60,
+    postRadius: 6,
+    goalDepth: 60,
+  },
+  // Широкий стол для размашистой игры
+  wide: {
+    width: 700,
+    height: 1000,
+    cornerRadius: 80,
+    postRadius: 6,
+    goalDepth: 60,
+  },
+  // Узкий стол: больше отскоков от бортов
+  narrow: {
+    width: 380,
+    height: 1000,
+    cornerRadius: 45,
+    postRadius: 6,
+    goalDepth: 60,
+  },
+};
+
+// Допустимые значения параметров арены
+const ARENA_LIMITS = {
+  width: { min: 200, max: 2000 },
+  height: { min: 400, max: 4000 },
+  cornerRadius: { min: 0, max: 500 },
+  postRadius: { min: 0, max: 30 },
+  goalDepth: { min: 0, max: 200 },
+};
+
+// Допуск проверки положения шайбы (единицы стола)
+const CONTAINS_TOLERANCE = 0.5;
+
+// Проверить описание арены name, вернуть текст ошибки или null
+function validateArena(name, arena) {
+  if (!arena || typeof arena !== "object" || Array.isArray(arena)) {
+    return `${name} должно быть объектом`;
+  }
+
+  for (const key of Object.keys(arena)) {
+    if (!ARENA_LIMITS[key]) return `${name}: неизвестный параметр ${key}`;
+  }
+  for (const [key, limits] of Object.entries(ARENA_LIMITS)) {
+    const value = arena[key];
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return `${name}.${key} должно быть числом`;
+    }
+    if (value < limits.min || value > limits.max) {
+      return `${name}.${key} должно быть от ${limits.min} до ${limits.max}`;
+    }
+  }
+
+  if (arena.cornerRadius * 2 > Math.min(arena.width, arena.height)) {
+    return `${name}.cornerRadius больше половины стола`;
+  }
+
+  return null;
+}
+
+// Проверить, подходят ли к арене правила матча; текст ошибки или null
+function validateArenaRules(arena, { goalWidth, puckRadius }) {
+  // Ворота не должны заходить на скругление углов
+  if (goalWidth + arena.cornerRadius * 2 > arena.width) {
+    return "Ворота шире прямого участка борта арены";
+  }
+  // Иначе шайба упрется в заднюю стенку, не пересекая линию ворот
+  if (arena.goalDepth < puckRadius * 2) {
+    return "Шайба не помещается в ворота арены";
+  }
+  return null;
+}
+
+// Края ворот по x при ширине goalWidth
+function goalEdges(table, goalWidth) {
+  return {
+    left: (table.width - goalWidth) / 2,
+    right: (table.width + goalWidth) / 2,
+  };
+}
+
+// Препятствия стола для центра шайбы радиуса puckRadius
+// table - размер стола, goalWidths - ширина ворот по номеру защищающего игрока
+// Отрезок (line): граница bound по оси axis, в которую упирается движение
+// со знаком side, пока другая координата в пределах from..to
+function tableObstacles(table, arena, puckRadius, goalWidths) {
+  const { width, height } = table;
+  const { cornerRadius, postRadius, goalDepth } = arena;
+  const r = puckRadius;
+  // Скругление меньше шайбы она не чувствует: углы для нее прямые
+  const corner = Math.max(cornerRadius, r);
+  const obstacles = [
+    { kind: "line", target: "wall", axis: "x", bound: r, side: -1 },
+    { kind: "line", target: "wall", axis: "x", bound: width - r, side: 1 },
+  ].map(wall => ({ ...wall, from: corner, to: height - corner }));
+
+  if (cornerRadius > r) {
+    for (const qx of [-1, 1]) {
+      for (const qy of [-1, 1]) {
+        obstacles.push({
+          kind: "arc",
+          target: "corner",
+          center: {
+            x: qx < 0 ? cornerRadius : width - cornerRadius,
+            y: qy < 0 ? cornerRadius : height - cornerRadius,
+          },
+          radius: cornerRadius - r,
+          quadrant: { x: qx, y: qy },
+        });
+      }
+    }
+  }
+
+  // Верхние ворота защищает игрок 2, нижние - игрок 1;
+  // out - направление из стола в ворота
+  for (const { defender, lineY, out } of [
+    { defender: 2, lineY: 0, out: -1 },
+    { defender: 1, lineY: height, out: 1 },
+  ]) {
+    const { left, right } = goalEdges(table, goalWidths[defender]);
+    const back = lineY + out * goalDepth;
+    const mouth = { from: Math.min(lineY, back), to: Math.max(lineY, back) };
+
+    // Борт по обе стороны от ворот
+    for (const [from, to] of [
+      [corner, left],
+      [right, width - corner],
+    ]) {
+      if (from > to) continue;
+      obstacles.push({
+        kind: "line",
+        target: "wall",
+        axis: "y",
+        bound: lineY - out * r,
+        side: out,
+        from,
+        to,
+      });
+    }
+
+    // Штанги на краях ворот
+    for (const x of [left, right]) {
+      obstacles.push({
+        kind: "post",
+        target: "post",
+        center: { x, y: lineY },
+        radius: postRadius + r,
+      });
+    }
+
+    // Боковые стенки и задняя стенка ворот
+    if (left + r < right - r) {
+      obstacles.push(
+        {
+          kind: "line",
+          target: "goalWall",
+          axis: "x",
+          bound: left + r,
+          side: -1,
+          ...mouth,
+        },
+        {
+          kind: "line",
+          target: "goalWall",
+          axis: "x",
+          bound: right - r,
+          side: 1,
+          ...mouth,
+        },
+        {
+          kind: "line",
+          target: "goalWall",
+          axis: "y",
+          bound: back - out * r,
+          side: out,
+          from: left,
+          to: right,
+        }
+      );
+    }
+
+    // Линия ворот: шайба целиком за ней - гол
+    obstacles.push({
+      kind: "line",
+      target: "goal",
+      axis: "y",
+      bound: lineY + out * r,
+      side: out,
+      from: left,
+      to: right,
+      defender,
+    });
+  }
+
+  return obstacles;
+}
+
+// Ближайшая к pos точка, где центр шайбы помещается на столе
+// или в воротах; goalWidths - как в tableObstacles
+function keepInside(table, arena, puckRadius, goalWidths, pos) {
+  const { width, height } = table;
+  const { cornerRadius, postRadius, goalDepth } = arena;
+  const r = puckRadius;
+  const result = { x: Math.max(r, Math.min(width - r, pos.x)), y: pos.y };
+  const top = goalEdges(table, goalWidths[2]);
+  const bottom = goalEdges(table, goalWidths[1]);
+
+  // Напротив ворот шайба может зайти за торцевой борт до задней стенки,
+  // а за линией ворот ее держат боковые стенки ворот
+  const between = ({ left, right }) => result.x > left && result.x < right;
+  const minY = between(top) ? r - goalDepth : r;
+  const maxY = between(bottom) ? height + goalDepth - r : height - r;
+  result.y = Math.max(minY, Math.min(maxY, result.y));
+  for (const [edges, behind] of [
+    [top, result.y < 0],
+    [bottom, result.y > height],
+  ]) {
+    if (behind) {
+      result.x = Math.max(edges.left + r, Math.min(edges.right - r, result.x));
+    }
+  }
+
+  // Углы: центр шайбы не дальше дуги скругления
+  const radius = cornerRadius - r;
+  if (radius > 0) {
+    const cx = Math.max(cornerRadius, Math.min(width - cornerRadius, result.x));
+    const cy = Math.max(
+      cornerRadius,
+      Math.min(height - cornerRadius, result.y)
+    );
+    const dx = result.x - cx;
+    const dy = result.y - cy;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (dx !== 0 && dy !== 0 && distance > radius) {
+      result.x = cx + (dx / distance) * radius;
+      result.y = cy + (dy / distance) * radius;
+    }
+  }
+
+  // Штанги выталкивают шайбу от своего центра
+  for (const [edges, y] of [
+    [top, 0],
+    [bottom, height],
+  ]) {
+    for (const x of [edges.left, edges.right]) {
+      const dx = result.x - x;
+      const dy = result.y - y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance > 0 && distance < postRadius + r) {
+        result.x = x + (dx / distance) * (postRadius + r);
+        result.y = y + (dy / distance) * (postRadius + r);
+      }
+    }
+  }
+
+  return result;
+}
+
+// Находится ли центр шайбы в пределах стола или ворот
+// с допуском на округление координат
+function containsPuck(table, arena, puckRadius, goalWidths, pos) {
+  const inside = keepInside(table, arena, puckRadius, goalWidths, pos);
+  const dx = inside.x - pos.x;
+  const dy = inside.y - pos.y;
+  return dx * dx + dy * dy <= CONTAINS_TOLERANCE * CONTAINS_TOLERANCE;
+}
+
+module.exports = {
+  DEFAULT_ARENAS,
+  validateArena,
+  validateArenaRules,
+  tableObstacles,
+  keepInside,
+  containsPuck,
+};
@@ -0,0 +1,171 @@
+// lib/auth.js - Проверка личности игрока при подключении Socket.IO
+// Клиент передает подписанный токен JWT (HS256) в handshake.auth.token
+// или в заголовке Authorization: Bearer. Из токена берутся постоянный
+// userId (claim sub) и отображаемое имя (claim name); срок действия (exp)
+// обязателен. В гостевом режиме клиент без токена получает временную
+// подписанную гостевую личность.
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+// Допустимое расхождение часов при проверке exp и nbf (секунды)
+const CLOCK_TOLERANCE = 30;
+// Максимальная длина отображаемого имени
+const MAX_NAME_LENGTH = 32;
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+function base64UrlDecodeJson(value) {
+  return JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+}
+
+function hmac(data, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(data)
+    .digest();
+}
+
+// Подписать полезную нагрузку токена (HS256)
+function signToken(payload, secret) {
+  const header = base64UrlEncode(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64UrlEncode(JSON.stringify(payload));
+  const signature = hmac(`${header}.${body}`, secret).toString("base64url");
+  return `${header}.${body}.${signature}`;
+}
+
+// Проверить токен; возвращает { payload } или { error }
+function verifyToken(token, secret, now = Date.now()) {
+  if (typeof token !== "string") return { error: "Токен должен быть строкой" };
+
+  const parts = token.split(".");
+  if (parts.length !== 3) return { error: "Неверный формат токена" };
+
+  const [header, body, signature] = parts;
+  let decodedHeader;
+  let payload;
+  try {
+    decodedHeader = base64UrlDecodeJson(header);
+    payload = base64UrlDecodeJson(body);
+  } catch (error) {
+    return { error: "Неверный формат токена" };
+  }
+
+  // Принимается только HS256, чтобы нельзя было подменить алгоритм
+  if (!decodedHeader || decodedHeader.alg !== "HS256") {
+    return { error: "Неподдерживаемый алгоритм подписи" };
+  }
+
+  const expected = hmac(`${header}.${body}`, secret);
+  const actual = Buffer.from(signature, "base64url");
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return { error: "Неверная подпись токена" };
+  }
+
+  if (!payload || typeof payload !== "object") {
+    return { error: "Неверный формат токена" };
+  }
+
+  // Бессрочные токены не принимаются: срок действия обязателен
+  const seconds = Math.floor(now / 1000);
+  if (typeof payload.exp !== "number" || !Number.isFinite(payload.exp)) {
+    return { error: "В токене нет срока действия" };
+  }
+  if (seconds > payload.exp + CLOCK_TOLERANCE) {
+    return { error: "Срок действия токена истек" };
+  }
+  if (
+    typeof payload.nbf === "number" &&
+    seconds < payload.nbf - CLOCK_TOLERANCE
+  ) {
+    return { error: "Токен еще не действует" };
+  }
+  if (typeof payload.sub !== "string" || !payload.sub) {
+    return { error: "В токене нет идентификатора игрока" };
+  }
+
+  return { payload };
+}
+
+// Личность игрока из проверенного токена
+function identityFromPayload(payload) {
+  const name =
+    typeof payload.name === "string"
+      ? payload.name.trim().slice(0, MAX_NAME_LENGTH)
+      : "";
+
+  return {
+    userId: payload.sub,
+    name: name || null,
+    guest: Boolean(payload.guest),
+  };
+}
+
+// Выдать временную гостевую личность с подписанным токеном
+// Токен позволяет гостю сохранить личность при переподключении
+function createGuestIdentity(secret, ttlSeconds, now = Date.now()) {
+  const id = uuidv4();
+  const issuedAt = Math.floor(now / 1000);
+  const payload = {
+    sub: `guest:${id}`,
+    name: `Гость-${id.slice(0, 4)}`,
+    guest: true,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds,
+  };
+
+  return {
+    ...identityFromPayload(payload),
+    token: signToken(payload, secret),
+    expiresAt: payload.exp * 1000,
+  };
+}
+
+// Токен из данных подключения или заголовка Authorization
+function tokenFromHandshake(handshake) {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+
+  const header = handshake.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : null;
+}
+
+// Middleware Socket.IO: отклоняет подключения без действительного токена
+// Проверенная личность сохраняется в socket.user
+function createAuthMiddleware({ secret, guestMode, guestTokenTtl }) {
+  return (socket, next) => {
+    const token = tokenFromHandshake(socket.handshake);
+
+    if (token) {
+      const { payload, error } = verifyToken(token, secret);
+      if (error) {
+        const authError = new Error(error);
+        authError.data = { code: "invalidToken" };
+        return next(authError);
+      }
+
+      socket.user = identityFromPayload(payload);
+      return next();
+    }
+
+    if (!guestMode) {
+      const authError = new Error("Требуется авторизация");
+      authError.data = { code: "authRequired" };
+      return next(authError);
+    }
+
+    socket.user = createGuestIdentity(secret, guestTokenTtl);
+    next();
+  };
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  createGuestIdentity,
+  tokenFromHandshake,
+  createAuthMiddleware,
+};
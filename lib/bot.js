@@ -0,0 +1,187 @@
+// lib/bot.js - Серверный соперник для игры против компьютера
+// Бот не трогает физику напрямую: он только выбирает, куда двигать свою биту,
+// а сервер пропускает это движение через те же ограничения, что и у человека
+const { createRng, nextRandom, randomSeed } = require("./rng");
+
+// Уровни сложности:
+//   reactionDelay - с каким опозданием бот видит шайбу (мс)
+//   predictionError - максимальная ошибка предсказания точки перехвата (единицы стола)
+//   aggression - вероятность пойти в атаку, когда шайба на своей половине
+//   malletSpeed - максимальная скорость биты (единицы стола в секунду)
+const BOT_LEVELS = {
+  easy: {
+    reactionDelay: 300,
+    predictionError: 60,
+    aggression: 0.2,
+    malletSpeed: 500,
+  },
+  medium: {
+    reactionDelay: 150,
+    predictionError: 25,
+    aggression: 0.5,
+    malletSpeed: 900,
+  },
+  hard: {
+    reactionDelay: 60,
+    predictionError: 6,
+    aggression: 0.85,
+    malletSpeed: 1400,
+  },
+};
+
+// Линия защиты и исходная позиция: доля высоты стола от своих ворот
+const DEFENSE_LINE = 0.15;
+// Шайба медленнее этого порога считается остановившейся и атакуется всегда
+const STOPPED_PUCK_SPEED = 0.5;
+
+// Создать бота для места playerNumber
+function createBot(level, playerNumber) {
+  return {
+    level,
+    settings: BOT_LEVELS[level],
+    playerNumber,
+    rng: createRng(randomSeed()),
+    // Наблюдения за шайбами для имитации времени реакции
+    observations: [],
+    target: null,
+    nextDecisionAt: 0,
+    lastUpdateAt: 0,
+    velocity: { x: 0, y: 0 },
+  };
+}
+
+// Отразить координату от боковых бортов, как это сделала бы шайба
+function reflectBetween(value, min, max) {
+  const range = max - min;
+  if (range <= 0) return (min + max) / 2;
+
+  let offset = (value - min) % (2 * range);
+  if (offset < 0) offset += 2 * range;
+  return min + (offset > range ? 2 * range - offset : offset);
+}
+
+// Шайбы, какими их "видит" бот с учетом задержки реакции
+function perceivePucks(bot, gameState, now) {
+  bot.observations.push({
+    time: now,
+    pucks: gameState.pucks.map(puck => ({
+      pos: { ...puck.pos },
+      velocity: { ...puck.velocity },
+    })),
+  });
+
+  const visibleTime = now - bot.settings.reactionDelay;
+  while (
+    bot.observations.length > 1 &&
+    bot.observations[1].time <= visibleTime
+  ) {
+    bot.observations.shift();
+  }
+
+  return bot.observations[0].pucks;
+}
+
+// Самая опасная шайба: ближайшая к своим воротам среди летящих к ним,
+// а если таких нет - просто ближайшая к воротам
+function pickPuck(pucks, ownGoalY, towardOwnGoal) {
+  const distance = puck => Math.abs(ownGoalY - puck.pos.y);
+  const incoming = pucks.filter(
+    puck => Math.sign(puck.velocity.y) === towardOwnGoal
+  );
+
+  return (incoming.length > 0 ? incoming : pucks).reduce((best, puck) =>
+    distance(puck) < distance(best) ? puck : best
+  );
+}
+
+// Выбрать точку, к которой бот поведет биту
+function chooseTarget(bot, pucks, gameState, physics) {
+  const { width, height } = gameState.canvasSize;
+  const { settings, playerNumber } = bot;
+
+  // Бот 2 защищает верхние ворота, бот 1 - нижние
+  const towardOwnGoal = playerNumber === 2 ? -1 : 1;
+  const defenseY =
+    playerNumber === 2 ? height * DEFENSE_LINE : height * (1 - DEFENSE_LINE);
+  const puck = pickPuck(pucks, playerNumber === 2 ? 0 : height, towardOwnGoal);
+  // Шайба на центральной линии тоже досягаема для биты
+  const inOwnHalf =
+    playerNumber === 2
+      ? puck.pos.y - physics.puckRadius < height / 2
+      : puck.pos.y + physics.puckRadius > height / 2;
+  const speed = Math.sqrt(
+    puck.velocity.x * puck.velocity.x + puck.velocity.y * puck.velocity.y
+  );
+  const error = (nextRandom(bot.rng) * 2 - 1) * settings.predictionError;
+
+  // Атака: пройти битой через шайбу в сторону чужих ворот
+  if (
+    inOwnHalf &&
+    (speed < STOPPED_PUCK_SPEED || nextRandom(bot.rng) < settings.aggression)
+  ) {
+    return {
+      x: puck.pos.x + error / 2,
+      y: puck.pos.y - towardOwnGoal * physics.playerRadius,
+    };
+  }
+
+  // Защита: встать на линии защиты туда, где пройдет шайба
+  if (Math.sign(puck.velocity.y) === towardOwnGoal) {
+    const frames = Math.max(0, (defenseY - puck.pos.y) / puck.velocity.y);
+    const predictedX = reflectBetween(
+      puck.pos.x + puck.velocity.x * frames,
+      physics.puckRadius,
+      width - physics.puckRadius
+    );
+    return { x: predictedX + error, y: defenseY };
+  }
+
+  // Шайба уходит: вернуться к воротам, слегка смещаясь за шайбой
+  return {
+    x: width / 2 + (puck.pos.x - width / 2) * 0.3,
+    y: defenseY,
+  };
+}
+
+// Обновить бота и получить новую желаемую позицию его биты
+function updateBot(bot, gameState, physics, now) {
+  const key = `player${bot.playerNumber}Pos`;
+  const current = gameState[key];
+  const pucks = perceivePucks(bot, gameState, now);
+
+  // Решение пересматривается не чаще, чем бот успевает реагировать
+  if (!bot.target || now >= bot.nextDecisionAt) {
+    bot.target = chooseTarget(bot, pucks, gameState, physics);
+    bot.nextDecisionAt = now + bot.settings.reactionDelay;
+  }
+
+  const elapsed = bot.lastUpdateAt ? (now - bot.lastUpdateAt) / 1000 : 0;
+  bot.lastUpdateAt = now;
+
+  // Двигаться к цели не быстрее допустимой скорости биты
+  const dx = bot.target.x - current.x;
+  const dy = bot.target.y - current.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  const maxStep = bot.settings.malletSpeed * elapsed;
+  const ratio = distance > maxStep ? maxStep / distance : 1;
+  const position = {
+    x: current.x + dx * ratio,
+    y: current.y + dy * ratio,
+  };
+
+  bot.velocity =
+    elapsed > 0
+      ? {
+          x: (position.x - current.x) / elapsed,
+          y: (position.y - current.y) / elapsed,
+        }
+      : { x: 0, y: 0 };
+
+  return position;
+}
+
+module.exports = {
+  BOT_LEVELS,
+  createBot,
+  updateBot,
+};
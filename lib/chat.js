@@ -0,0 +1,106 @@
+// lib/chat.js - Чат матча: сообщения, быстрые эмоции и фильтр слов
+// Сообщения очищаются от управляющих символов, обрезаются по длине
+// и проходят через фильтр запрещенных слов. Последние сообщения хранятся
+// в матче, чтобы показать их переподключившемуся игроку или зрителю.
+const { v4: uuidv4 } = require("uuid");
+
+// Фиксированный набор эмоций: клиент отправляет только идентификатор
+const EMOTES = [
+  "gg",
+  "glhf",
+  "niceShot",
+  "wow",
+  "oops",
+  "thanks",
+  "wellPlayed",
+  "rematch",
+];
+
+// Создать журнал чата на limit последних сообщений
+function createChatLog(limit) {
+  return {
+    limit,
+    messages: [],
+  };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Собрать фильтр запрещенных слов; слово ищется целиком без учета регистра
+// Границы слова учитывают любые буквы, а не только латиницу
+function createWordFilter(words) {
+  const patterns = words
+    .map(word => word.trim())
+    .filter(Boolean)
+    .map(escapeRegExp);
+  if (patterns.length === 0) return null;
+
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${patterns.join("|")})(?![\\p{L}\\p{N}])`,
+    "giu"
+  );
+}
+
+// Заменить запрещенные слова звездочками
+// Возвращает { text, filtered }
+function applyWordFilter(filter, text) {
+  if (!filter) return { text, filtered: false };
+
+  let filtered = false;
+  const result = text.replace(filter, match => {
+    filtered = true;
+    return "*".repeat([...match].length);
+  });
+  return { text: result, filtered };
+}
+
+// Очистить текст сообщения: без управляющих символов и лишних пробелов
+// Возвращает { text } или { error }
+function sanitizeMessage(text, maxLength) {
+  if (typeof text !== "string") {
+    return { error: "Сообщение должно быть строкой" };
+  }
+
+  const clean = text
+    .replace(/[\p{Cc}\p{Cf}]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!clean) return { error: "Пустое сообщение" };
+  if ([...clean].length > maxLength) {
+    return { error: `Сообщение длиннее ${maxLength} символов` };
+  }
+
+  return { text: clean };
+}
+
+// Добавить сообщение или эмоцию в журнал
+// entry: { type: "message" | "emote", playerNumber, playerId, name, text | emote }
+function appendChat(log, entry, now = Date.now()) {
+  const message = { id: uuidv4(), ...entry, timestamp: now };
+
+  log.messages.push(message);
+  if (log.messages.length > log.limit) {
+    log.messages.shift();
+  }
+
+  return message;
+}
+
+// Последние сообщения без авторов, которых получатель заглушил
+function recentChat(log, mutedPlayerIds = []) {
+  return log.messages.filter(
+    message => !mutedPlayerIds.includes(message.playerId)
+  );
+}
+
+module.exports = {
+  EMOTES,
+  createChatLog,
+  createWordFilter,
+  applyWordFilter,
+  sanitizeMessage,
+  appendChat,
+  recentChat,
+};
@@ -0,0 +1,232 @@
+// lib/cluster.js - Запуск нескольких рабочих процессов с шардированием матчей
+// Основной процесс принимает TCP-соединения и передает каждое рабочему
+// процессу-владельцу матча (matchId из строки запроса Socket.IO).
+// Соединения без matchId распределяются по стабильному хешу адреса клиента.
+// Широковещательные рассылки комнат между процессами выполняет
+// @socket.io/cluster-adapter через IPC основного процесса.
+const cluster = require("cluster");
+const net = require("net");
+const { setupPrimary, createAdapter } = require("@socket.io/cluster-adapter");
+const {
+  createRegistry,
+  claimMatch,
+  lookupMatch,
+  releaseMatch,
+  releaseOwner,
+  getRegistryStats,
+} = require("./registry");
+
+// Сколько ждать ответа основного процесса на запрос к реестру (мс)
+const REGISTRY_TIMEOUT = 2000;
+
+// Хеш строки (FNV-1a) для стабильного выбора процесса
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Достать matchId из первой строки HTTP-запроса
+function matchIdFromRequest(buffer) {
+  const [requestLine] = buffer.toString("latin1").split("\r\n");
+  const target = requestLine.split(" ")[1];
+  if (!target) return null;
+
+  try {
+    return new URL(target, "http://localhost").searchParams.get("matchId");
+  } catch (error) {
+    return null;
+  }
+}
+
+// Имя владельца в реестре для рабочего процесса
+function workerOwner(worker) {
+  return `worker:${worker.id}`;
+}
+
+// Основной процесс: запустить рабочие процессы и маршрутизацию соединений
+function startPrimary({ port, workers }) {
+  const registry = createRegistry();
+  const workerList = [];
+
+  // Адаптер Socket.IO пересылает рассылки комнат между процессами
+  setupPrimary();
+
+  const forkWorker = () => {
+    const worker = cluster.fork();
+    workerList.push(worker);
+    worker.on("message", message => handleWorkerMessage(worker, message));
+    return worker;
+  };
+
+  // Запросы рабочих процессов к общему реестру и общие события
+  const handleWorkerMessage = (worker, message) => {
+    if (!message || typeof message.type !== "string") return;
+
+    const owner = workerOwner(worker);
+    const reply = result =>
+      worker.send({
+        type: "registry:reply",
+        requestId: message.requestId,
+        result,
+      });
+
+    switch (message.type) {
+      case "registry:claim":
+        reply(claimMatch(registry, message.matchId, owner));
+        break;
+      case "registry:lookup":
+        reply(lookupMatch(registry, message.matchId));
+        break;
+      case "registry:release":
+        releaseMatch(registry, message.matchId, owner);
+        break;
+      case "registry:stats":
+        reply({ ...getRegistryStats(registry), workers: workerList.length });
+        break;
+      case "history:record":
+        // Остальные процессы учитывают матч в своих рейтингах
+        workerList
+          .filter(other => other !== worker)
+          .forEach(other =>
+            other.send({ type: "history:record", record: message.record })
+          );
+        break;
+    }
+  };
+
+  // Выбрать процесс для соединения: владелец матча или стабильный хеш
+  const chooseWorker = (matchId, remoteAddress) => {
+    if (matchId) {
+      const owner = lookupMatch(registry, matchId);
+      const ownerWorker = workerList.find(w => workerOwner(w) === owner);
+      if (ownerWorker) return ownerWorker;
+    }
+
+    const key = matchId || remoteAddress || "";
+    return workerList[hashString(key) % workerList.length];
+  };
+
+  for (let i = 0; i < workers; i++) {
+    forkWorker();
+  }
+
+  // Упавший процесс заменяется новым, его матчи освобождаются
+  cluster.on("exit", (worker, code) => {
+    const index = workerList.indexOf(worker);
+    if (index !== -1) workerList.splice(index, 1);
+
+    const released = releaseOwner(registry, workerOwner(worker));
+    console.log(
+      `Процесс ${worker.id} завершился (код ${code}), освобождено матчей: ${released}`
+    );
+    forkWorker();
+  });
+
+  const server = net.createServer(connection => {
+    connection.once("data", buffer => {
+      connection.pause();
+
+      const worker = chooseWorker(
+        matchIdFromRequest(buffer),
+        connection.remoteAddress
+      );
+      // Первый фрагмент уже прочитан здесь, поэтому передается вместе с сокетом
+      worker.send(
+        { type: "sticky:connection", data: buffer.toString("base64") },
+        connection,
+        { keepOpen: false }
+      );
+    });
+    connection.on("error", () => connection.destroy());
+  });
+
+  server.listen(port, () => {
+    console.log(
+      `Кластер запущен на порту ${port}, рабочих процессов: ${workers}`
+    );
+  });
+
+  return server;
+}
+
+// Рабочий процесс: принимать соединения от основного процесса
+function setupWorker(httpServer, io) {
+  io.adapter(createAdapter());
+
+  process.on("message", (message, connection) => {
+    if (!message || message.type !== "sticky:connection" || !connection) {
+      return;
+    }
+
+    httpServer.emit("connection", connection);
+    connection.emit("data", Buffer.from(message.data, "base64"));
+    connection.resume();
+  });
+}
+
+// Клиент реестра в рабочем процессе; интерфейс как у createLocalRegistryClient
+function createIpcRegistryClient() {
+  const owner = workerOwner(cluster.worker);
+  const pending = new Map();
+  let nextRequestId = 1;
+
+  process.on("message", message => {
+    if (!message || message.type !== "registry:reply") return;
+
+    const request = pending.get(message.requestId);
+    if (!request) return;
+
+    pending.delete(message.requestId);
+    clearTimeout(request.timer);
+    request.callback(message.result);
+  });
+
+  // Без ответа основного процесса считаем, что владелец неизвестен
+  const request = (type, data, callback = () => {}) => {
+    const requestId = nextRequestId++;
+    pending.set(requestId, {
+      callback,
+      timer: setTimeout(() => {
+        pending.delete(requestId);
+        callback(null);
+      }, REGISTRY_TIMEOUT),
+    });
+    process.send({ type, requestId, ...data });
+  };
+
+  return {
+    owner,
+    claim: (matchId, callback) =>
+      request("registry:claim", { matchId }, callback),
+    lookup: (matchId, callback) =>
+      request("registry:lookup", { matchId }, callback),
+    release: matchId => process.send({ type: "registry:release", matchId }),
+    stats: callback => request("registry:stats", {}, callback),
+  };
+}
+
+// Сообщить остальным процессам о записанном матче
+function publishMatchRecord(record) {
+  process.send({ type: "history:record", record });
+}
+
+// Получать матчи, записанные другими процессами
+function onMatchRecord(handler) {
+  process.on("message", message => {
+    if (message && message.type === "history:record") {
+      handler(message.record);
+    }
+  });
+}
+
+module.exports = {
+  startPrimary,
+  setupWorker,
+  createIpcRegistryClient,
+  publishMatchRecord,
+  onMatchRecord,
+};
@@ -0,0 +1,542 @@
+// lib/config.js - Конфигурация сервера: значения по умолчанию,
+// затем файл конфигурации (JSON), затем переменные окружения
+// Каждый параметр описан в схеме: тип, допустимый диапазон и имя переменной
+// окружения. Ошибки собираются все сразу, чтобы их можно было исправить за раз.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEFAULT_EVENT_LIMITS } = require("./guard");
+const { DEFAULT_ARENAS, validateArena } = require("./arena");
+
+const ROOT_DIRECTORY = path.join(__dirname, "..");
+// Файл конфигурации по умолчанию (необязательный)
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIRECTORY, "config.json");
+
+// Схема конфигурации по разделам
+// type: integer | number | string | boolean | list (список строк через запятую)
+//   | limits (ограничения частоты событий: { событие: { rate, burst } },
+//     в переменной окружения - "событие=rate/burst,..."; дополняют значения
+//     по умолчанию, а не заменяют их)
+//   | arenas (арены: { название: { width, height, cornerRadius, postRadius,
+//     goalDepth } }, в переменной окружения - JSON; дополняют встроенные арены)
+// allowEmpty: список может быть пустым
+// secret: значение не показывается в /config
+const CONFIG_SCHEMA = {
+  server: {
+    port: { type: "integer", min: 1, max: 65535, default: 3002, env: "PORT" },
+    // Разрешенные источники CORS; "*" - любой источник
+    corsOrigins: { type: "list", default: ["*"], env: "CORS_ORIGINS" },
+  },
+  socket: {
+    pingInterval: {
+      type: "integer",
+      min: 1000,
+      max: 60000,
+      default: 5000,
+      env: "SOCKET_PING_INTERVAL",
+    },
+    pingTimeout: {
+      type: "integer",
+      min: 1000,
+      max: 60000,
+      default: 3000,
+      env: "SOCKET_PING_TIMEOUT",
+    },
+    maxHttpBufferSize: {
+      type: "integer",
+      min: 1024,
+      max: 10000000,
+      default: 100000,
+      env: "SOCKET_MAX_HTTP_BUFFER_SIZE",
+    },
+  },
+  game: {
+    // Частота игрового цикла и рассылки состояния (Гц)
+    updateRate: {
+      type: "number",
+      min: 10,
+      max: 240,
+      default: 60,
+      env: "UPDATE_RATE",
+    },
+    // Частота шага физики (тиков в секунду); не ниже частоты рассылки
+    tickRate: {
+      type: "integer",
+      min: 60,
+      max: 480,
+      default: 120,
+      env: "TICK_RATE",
+    },
+    reconnectGracePeriod: {
+      type: "integer",
+      min: 0,
+      max: 600000,
+      default: 30000,
+      env: "RECONNECT_GRACE_PERIOD",
+    },
+    maxLagCompensation: {
+      type: "integer",
+      min: 0,
+      max: 1000,
+      default: 200,
+      env: "MAX_LAG_COMPENSATION",
+    },
+    cheatReportInterval: {
+      type: "integer",
+      min: 0,
+      max: 60000,
+      default: 1000,
+      env: "CHEAT_REPORT_INTERVAL",
+    },
+    goalClaimWindow: {
+      type: "integer",
+      min: 0,
+      max: 10000,
+      default: 1000,
+      env: "GOAL_CLAIM_WINDOW",
+    },
+    // Через сколько удалять матч без игроков (мс)
+    matchCleanupDelay: {
+      type: "integer",
+      min: 0,
+      max: 3600000,
+      default: 30000,
+      env: "MATCH_CLEANUP_DELAY",
+    },
+    // Сколько ждать ответа соперника на предложение (мс)
+    proposalTimeout: {
+      type: "integer",
+      min: 1000,
+      max: 120000,
+      default: 15000,
+      env: "PROPOSAL_TIMEOUT",
+    },
+    // Обратный отсчет перед продолжением игры после сброса, паузы
+    // или перед реваншем (мс)
+    resumeCountdown: {
+      type: "integer",
+      min: 0,
+      max: 10000,
+      default: 3000,
+      env: "RESUME_COUNTDOWN",
+    },
+    // Наибольшая длительность паузы по согласию (мс)
+    maxPauseDuration: {
+      type: "integer",
+      min: 1000,
+      max: 600000,
+      default: 60000,
+      env: "MAX_PAUSE_DURATION",
+    },
+    // Арены, доступные правилом arena
+    arenas: {
+      type: "arenas",
+      default: DEFAULT_ARENAS,
+      env: "ARENAS",
+    },
+  },
+  matchmaking: {
+    timeout: {
+      type: "integer",
+      min: 1000,
+      max: 3600000,
+      default: 120000,
+      env: "MATCHMAKING_TIMEOUT",
+    },
+    skillRange: {
+      type: "number",
+      min: 0,
+      max: 5000,
+      default: 200,
+      env: "MATCHMAKING_SKILL_RANGE",
+    },
+    skillWidening: {
+      type: "number",
+      min: 0,
+      max: 1000,
+      default: 25,
+      env: "MATCHMAKING_SKILL_WIDENING",
+    },
+    interval: {
+      type: "integer",
+      min: 100,
+      max: 60000,
+      default: 1000,
+      env: "MATCHMAKING_INTERVAL",
+    },
+  },
+  tournament: {
+    // Сколько ждать начала встречи турнира, прежде чем засчитать неявку (мс)
+    noShowTimeout: {
+      type: "integer",
+      min: 10000,
+      max: 3600000,
+      default: 120000,
+      env: "TOURNAMENT_NO_SHOW_TIMEOUT",
+    },
+  },
+  storage: {
+    historyFile: {
+      type: "string",
+      default: path.join(ROOT_DIRECTORY, "data", "matches.jsonl"),
+      env: "HISTORY_FILE",
+    },
+    replayDirectory: {
+      type: "string",
+      default: path.join(ROOT_DIRECTORY, "data", "replays"),
+      env: "REPLAY_DIR",
+    },
+  },
+  admin: {
+    token: {
+      type: "string",
+      default: null,
+      nullable: true,
+      secret: true,
+      env: "ADMIN_TOKEN",
+    },
+    maxNoticeLength: {
+      type: "integer",
+      min: 1,
+      max: 5000,
+      default: 500,
+      env: "ADMIN_MAX_NOTICE_LENGTH",
+    },
+  },
+  auth: {
+    // Секрет подписи токенов игроков (HS256); обязателен без гостевого
+    // режима. В гостевом режиме без него сервер создает случайный секрет
+    // при запуске, и выданные токены живут до перезапуска
+    secret: {
+      type: "string",
+      default: null,
+      nullable: true,
+      secret: true,
+      env: "AUTH_SECRET",
+    },
+    // Выдавать временную гостевую личность подключениям без токена;
+    // по умолчанию подключения без токена отклоняются
+    guestMode: { type: "boolean", default: false, env: "AUTH_GUEST_MODE" },
+    // Срок действия гостевого токена (секунды)
+    guestTokenTtl: {
+      type: "integer",
+      min: 60,
+      max: 2592000,
+      default: 86400,
+      env: "AUTH_GUEST_TOKEN_TTL",
+    },
+  },
+  chat: {
+    maxMessageLength: {
+      type: "integer",
+      min: 1,
+      max: 1000,
+      default: 200,
+      env: "CHAT_MAX_MESSAGE_LENGTH",
+    },
+    // Сколько последних сообщений хранится в матче
+    historySize: {
+      type: "integer",
+      min: 0,
+      max: 500,
+      default: 50,
+      env: "CHAT_HISTORY_SIZE",
+    },
+    // Ограничение частоты сообщений и эмоций одного игрока
+    rate: {
+      type: "number",
+      min: 0.01,
+      max: 10,
+      default: 0.5,
+      env: "CHAT_RATE",
+    },
+    burst: { type: "integer", min: 1, max: 100, default: 5, env: "CHAT_BURST" },
+    // Запрещенные слова заменяются звездочками
+    bannedWords: {
+      type: "list",
+      default: [],
+      allowEmpty: true,
+      env: "CHAT_BANNED_WORDS",
+    },
+  },
+  rateLimit: {
+    events: {
+      type: "limits",
+      default: DEFAULT_EVENT_LIMITS,
+      env: "RATE_LIMITS",
+    },
+    // Сколько отклоненных событий допускается в окне до отключения сокета
+    maxViolations: {
+      type: "integer",
+      min: 1,
+      max: 10000,
+      default: 20,
+      env: "RATE_LIMIT_MAX_VIOLATIONS",
+    },
+    violationWindow: {
+      type: "integer",
+      min: 1000,
+      max: 3600000,
+      default: 10000,
+      env: "RATE_LIMIT_VIOLATION_WINDOW",
+    },
+  },
+  cluster: {
+    workers: {
+      type: "integer",
+      min: 1,
+      max: 256,
+      default: os.cpus().length,
+      env: "CLUSTER_WORKERS",
+    },
+  },
+};
+
+// Привести строку переменной окружения к типу параметра
+function parseEnvValue(spec, raw) {
+  switch (spec.type) {
+    case "integer":
+    case "number":
+      return raw.trim() === "" ? NaN : Number(raw);
+    case "boolean":
+      if (raw === "true" || raw === "1") return true;
+      if (raw === "false" || raw === "0") return false;
+      return raw;
+    case "list":
+      return raw
+        .split(",")
+        .map(item => item.trim())
+        .filter(Boolean);
+    case "limits": {
+      const limits = {};
+      for (const item of raw.split(",")) {
+        const [event, value = ""] = item.split("=").map(part => part.trim());
+        if (!event) continue;
+        const [rate, burst] = value.split("/").map(Number);
+        limits[event] = { rate, burst };
+      }
+      return limits;
+    }
+    case "arenas":
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+// Ограничение частоты одного события: текст ошибки или null
+function validateLimit(event, limit) {
+  if (!limit || typeof limit !== "object") {
+    return `${event} должно быть объектом { rate, burst }`;
+  }
+  if (typeof limit.rate !== "number" || !(limit.rate > 0)) {
+    return `${event}.rate должно быть положительным числом`;
+  }
+  if (!Number.isInteger(limit.burst) || limit.burst < 1) {
+    return `${event}.burst должно быть целым числом не меньше 1`;
+  }
+  return null;
+}
+
+// Значение из следующего источника поверх предыдущего
+function overrideValue(spec, value, override) {
+  if (
+    (spec.type === "limits" || spec.type === "arenas") &&
+    override &&
+    typeof override === "object" &&
+    !Array.isArray(override)
+  ) {
+    return { ...value, ...override };
+  }
+  return override;
+}
+
+// Проверить значение параметра, вернуть текст ошибки или null
+function validateValue(spec, value) {
+  if (value === null && spec.nullable) return null;
+
+  switch (spec.type) {
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "должно быть числом";
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return "должно быть целым числом";
+      }
+      if (value < spec.min || value > spec.max) {
+        return `должно быть от ${spec.min} до ${spec.max}`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "должно быть true или false";
+    case "limits":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return "должно быть объектом { событие: { rate, burst } }";
+      }
+      for (const [event, limit] of Object.entries(value)) {
+        if (!Object.prototype.hasOwnProperty.call(spec.default, event)) {
+          return `содержит неизвестное событие ${event}`;
+        }
+        const error = validateLimit(event, limit);
+        if (error) return `задано неверно: ${error}`;
+      }
+      return null;
+    case "arenas":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return "должно быть объектом { название: { width, height, ... } }";
+      }
+      for (const [name, arena] of Object.entries(value)) {
+        const error = validateArena(name, arena);
+        if (error) return `задано неверно: ${error}`;
+      }
+      return null;
+    case "list":
+      if (spec.allowEmpty && Array.isArray(value) && value.length === 0) {
+        return null;
+      }
+      return Array.isArray(value) &&
+        value.length > 0 &&
+        value.every(item => typeof item === "string" && item)
+        ? null
+        : "должно быть непустым списком строк";
+    default:
+      return typeof value === "string" && value
+        ? null
+        : "должно быть непустой строкой";
+  }
+}
+
+// Прочитать файл конфигурации; отсутствие необязательного файла не ошибка
+function readConfigFile(filePath, required, errors) {
+  if (!fs.existsSync(filePath)) {
+    if (required) errors.push(`Файл конфигурации не найден: ${filePath}`);
+    return {};
+  }
+
+  try {
+    const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!content || typeof content !== "object" || Array.isArray(content)) {
+      errors.push(`Файл конфигурации ${filePath} должен содержать объект`);
+      return {};
+    }
+    return content;
+  } catch (error) {
+    errors.push(`Не удалось прочитать ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+// Собрать конфигурацию из всех источников
+// file - путь к JSON-файлу (по умолчанию CONFIG_FILE или config.json)
+// Возвращает { config, sources, file } или { errors }
+function loadConfig({ env = process.env, file } = {}) {
+  const errors = [];
+  const filePath = file || env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  const fileConfig = readConfigFile(
+    filePath,
+    Boolean(file || env.CONFIG_FILE),
+    errors
+  );
+
+  // Неизвестные ключи в файле скорее всего опечатки
+  for (const [section, values] of Object.entries(fileConfig)) {
+    if (!CONFIG_SCHEMA[section]) {
+      errors.push(`Неизвестный раздел конфигурации: ${section}`);
+      continue;
+    }
+    for (const key of Object.keys(values || {})) {
+      if (!CONFIG_SCHEMA[section][key]) {
+        errors.push(`Неизвестный параметр конфигурации: ${section}.${key}`);
+      }
+    }
+  }
+
+  const config = {};
+  const sources = {};
+  for (const [section, specs] of Object.entries(CONFIG_SCHEMA)) {
+    config[section] = {};
+
+    for (const [key, spec] of Object.entries(specs)) {
+      const name = `${section}.${key}`;
+      const fileSection = fileConfig[section] || {};
+      let value = spec.default;
+      let source = "default";
+
+      if (Object.prototype.hasOwnProperty.call(fileSection, key)) {
+        value = overrideValue(spec, value, fileSection[key]);
+        source = "file";
+      }
+      if (env[spec.env] !== undefined) {
+        value = overrideValue(spec, value, parseEnvValue(spec, env[spec.env]));
+        source = "env";
+      }
+
+      const error = validateValue(spec, value);
+      if (error) {
+        const origin = source === "env" ? ` (переменная ${spec.env})` : "";
+        errors.push(`${name}${origin} ${error}`);
+      }
+
+      config[section][key] = value;
+      sources[name] = source;
+    }
+  }
+
+  // Рассылать чаще шага физики бессмысленно: кадры повторялись бы
+  if (errors.length === 0 && config.game.tickRate < config.game.updateRate) {
+    errors.push("game.tickRate не может быть меньше game.updateRate");
+  }
+
+  // Без секрета нельзя проверить ни один токен, а без гостевого режима
+  // подключения без токена отклоняются: к такому серверу никто не подключится
+  if (errors.length === 0 && !config.auth.secret && !config.auth.guestMode) {
+    errors.push(
+      "auth.secret (переменная AUTH_SECRET) обязателен, если не включен auth.guestMode"
+    );
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return { config, sources, file: fs.existsSync(filePath) ? filePath : null };
+}
+
+// Загрузить конфигурацию или завершить процесс с понятным сообщением
+function loadConfigOrExit(options) {
+  const result = loadConfig(options);
+  if (result.errors) {
+    console.error(
+      `Ошибка конфигурации:\n${result.errors
+        .map(error => `  - ${error}`)
+        .join("\n")}`
+    );
+    process.exit(1);
+  }
+
+  return result;
+}
+
+// Копия конфигурации без секретов для просмотра
+function redactConfig(config) {
+  const redacted = {};
+  for (const [section, specs] of Object.entries(CONFIG_SCHEMA)) {
+    redacted[section] = {};
+    for (const [key, spec] of Object.entries(specs)) {
+      const value = config[section][key];
+      redacted[section][key] = spec.secret && value !== null ? "***" : value;
+    }
+  }
+
+  return redacted;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  loadConfig,
+  loadConfigOrExit,
+  redactConfig,
+};
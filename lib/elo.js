@@ -0,0 +1,28 @@
+// lib/elo.js - Расчет рейтинга Эло
+
+const INITIAL_RATING = 1000; // Рейтинг нового игрока
+const K_FACTOR = 32; // Максимальное изменение рейтинга за матч
+
+// Ожидаемый результат игрока A против игрока B (от 0 до 1)
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+// Новые рейтинги после матча; scoreA - 1 (победа A), 0 (поражение) или 0.5
+function updateRatings(ratingA, ratingB, scoreA, kFactor = K_FACTOR) {
+  const deltaA = Math.round(
+    kFactor * (scoreA - expectedScore(ratingA, ratingB))
+  );
+
+  return {
+    ratingA: ratingA + deltaA,
+    ratingB: ratingB - deltaA,
+  };
+}
+
+module.exports = {
+  INITIAL_RATING,
+  K_FACTOR,
+  expectedScore,
+  updateRatings,
+};
@@ -0,0 +1,338 @@
+// lib/guard.js - Проверка входящих событий сокета
+// Каждое событие проходит проверку формы данных по схеме и ограничение
+// частоты по алгоритму «ведро токенов» (своему для каждого события).
+// Нарушения считаются в скользящем окне; злостный нарушитель отключается.
+
+// Идентификаторы матчей и токенов: короткие строки без спецсимволов
+const ID_PATTERN = /^[A-Za-z0-9_:-]{1,64}$/;
+
+const idField = { type: "string", pattern: ID_PATTERN, required: true };
+const rulesField = { type: ["string", "object"] };
+const sizeField = {
+  type: "object",
+  fields: {
+    width: { type: "number", required: true },
+    height: { type: "number", required: true },
+  },
+};
+const pointField = {
+  type: "object",
+  required: true,
+  fields: {
+    x: { type: "number", required: true },
+    y: { type: "number", required: true },
+  },
+};
+
+// Схемы данных событий: описание первого аргумента события
+// null - событие без данных (аргумент игнорируется)
+const EVENT_SCHEMAS = {
+  setViewport: { ...sizeField, required: true },
+  snapshotAck: {
+    type: "object",
+    required: true,
+    fields: { seq: { type: "integer", min: 0, required: true } },
+  },
+  pong: null,
+  findMatch: {
+    type: "object",
+    fields: { skill: { type: "number" }, rules: rulesField },
+  },
+  cancelFind: null,
+  watchMatch: {
+    type: "object",
+    required: true,
+    fields: { matchId: idField },
+  },
+  playVsBot: {
+    type: "object",
+    fields: {
+      difficulty: { type: "string", maxLength: 16 },
+      rules: rulesField,
+    },
+  },
+  joinMatch: {
+    type: "object",
+    required: true,
+    fields: {
+      matchId: idField,
+      resumeToken: { type: "string", pattern: ID_PATTERN },
+      role: { type: "string", enum: ["player", "spectator"] },
+      rules: rulesField,
+    },
+  },
+  playerReady: {
+    type: "object",
+    fields: { viewport: sizeField, canvasSize: sizeField },
+  },
+  playerMove: {
+    type: "object",
+    required: true,
+    fields: { position: pointField, timestamp: { type: "number" } },
+  },
+  puckUpdate: {
+    type: "object",
+    required: true,
+    fields: {
+      puckId: { type: "integer", min: 1 },
+      puckPos: pointField,
+      puckVelocity: pointField,
+      timestamp: { type: "number", required: true },
+    },
+  },
+  joinTournament: {
+    type: "object",
+    required: true,
+    fields: { tournamentId: idField },
+  },
+  leaveTournament: {
+    type: "object",
+    required: true,
+    fields: { tournamentId: idField },
+  },
+  requestReset: null,
+  proposeReset: null,
+  proposePause: null,
+  proposeRematch: null,
+  acceptProposal: {
+    type: "object",
+    required: true,
+    fields: { proposalId: idField },
+  },
+  declineProposal: {
+    type: "object",
+    required: true,
+    fields: { proposalId: idField },
+  },
+  endPause: null,
+  chatMessage: {
+    type: "object",
+    required: true,
+    fields: { text: { type: "string", maxLength: 2000, required: true } },
+  },
+  emote: {
+    type: "object",
+    required: true,
+    fields: { emote: { type: "string", maxLength: 32, required: true } },
+  },
+  muteOpponent: {
+    type: "object",
+    fields: { muted: { type: "boolean" } },
+  },
+  playReplay: {
+    type: "object",
+    required: true,
+    fields: { matchId: idField, speed: { type: "number" } },
+  },
+  stopReplay: null,
+  goalScored: null,
+};
+
+// События, на которые сервер отвечает только через подтверждение (ack):
+// без функции подтверждения последним аргументом событие отклоняется
+const ACK_EVENTS = [
+  "findMatch",
+  "watchMatch",
+  "playVsBot",
+  "joinMatch",
+  "joinTournament",
+  "playReplay",
+];
+
+// Ограничения частоты по умолчанию: rate - событий в секунду в среднем,
+// burst - сколько событий можно прислать подряд
+const DEFAULT_EVENT_LIMITS = {
+  setViewport: { rate: 2, burst: 5 },
+  snapshotAck: { rate: 250, burst: 250 },
+  pong: { rate: 2, burst: 5 },
+  findMatch: { rate: 1, burst: 5 },
+  cancelFind: { rate: 1, burst: 5 },
+  watchMatch: { rate: 1, burst: 5 },
+  playVsBot: { rate: 1, burst: 5 },
+  joinMatch: { rate: 1, burst: 5 },
+  playerReady: { rate: 2, burst: 5 },
+  playerMove: { rate: 90, burst: 120 },
+  puckUpdate: { rate: 30, burst: 30 },
+  joinTournament: { rate: 1, burst: 5 },
+  leaveTournament: { rate: 1, burst: 5 },
+  requestReset: { rate: 0.5, burst: 2 },
+  proposeReset: { rate: 0.5, burst: 2 },
+  proposePause: { rate: 0.5, burst: 2 },
+  proposeRematch: { rate: 0.5, burst: 2 },
+  acceptProposal: { rate: 1, burst: 5 },
+  declineProposal: { rate: 1, burst: 5 },
+  endPause: { rate: 1, burst: 5 },
+  chatMessage: { rate: 2, burst: 10 },
+  emote: { rate: 2, burst: 10 },
+  muteOpponent: { rate: 1, burst: 5 },
+  playReplay: { rate: 1, burst: 5 },
+  stopReplay: { rate: 1, burst: 5 },
+  goalScored: { rate: 2, burst: 5 },
+};
+
+// Тип значения в терминах схемы
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function matchesType(expected, actual) {
+  const types = Array.isArray(expected) ? expected : [expected];
+  // Целое число подходит и там, где ожидается любое число
+  return types.some(
+    type => type === actual || (type === "number" && actual === "integer")
+  );
+}
+
+// Проверить значение по схеме, вернуть текст ошибки или null
+function validateValue(schema, value, name) {
+  if (value === undefined || value === null) {
+    return schema.required ? `${name}: обязательное поле` : null;
+  }
+
+  const actual = typeOf(value);
+  if (!matchesType(schema.type, actual)) {
+    return `${name}: неверный тип`;
+  }
+  if (actual === "number" && !Number.isFinite(value)) {
+    return `${name}: должно быть конечным числом`;
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    return `${name}: должно быть не меньше ${schema.min}`;
+  }
+  if (typeof value === "string") {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${name}: слишком длинная строка`;
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      return `${name}: недопустимое значение`;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${name}: недопустимое значение`;
+  }
+
+  if (actual === "object" && schema.fields) {
+    for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+      const error = validateValue(fieldSchema, value[key], `${name}.${key}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+// Проверить данные события; возвращает текст ошибки или null
+function validatePayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return null;
+
+  return validateValue(schema, payload, event);
+}
+
+// Ведро токенов: пополняется со скоростью rate до емкости burst
+function createBucket(limit, now) {
+  return {
+    tokens: limit.burst,
+    updatedAt: now,
+  };
+}
+
+// Взять токен из ведра; false - лимит исчерпан
+function takeToken(bucket, limit, now) {
+  const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + elapsed * limit.rate);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+// Состояние проверки для одного сокета
+// limits - ограничения частоты по событиям
+// maxViolations - сколько нарушений допускается в окне violationWindow (мс)
+function createGuard({ limits, maxViolations, violationWindow }) {
+  return {
+    limits,
+    maxViolations,
+    violationWindow,
+    buckets: {},
+    violations: [],
+  };
+}
+
+// Привести аргументы события к виду, который ждут обработчики:
+// [данные, ack] для событий с данными и [ack] для событий без данных.
+// Клиент может не передать необязательные данные, и тогда функция
+// подтверждения приходит первым аргументом.
+// Возвращает { payload, ack, args }
+function normalizeEventArgs(event, args) {
+  const last = args[args.length - 1];
+  const ack = typeof last === "function" ? last : undefined;
+  const payload = typeof args[0] === "function" ? undefined : args[0];
+  const tail = ack ? [ack] : [];
+
+  return {
+    payload,
+    ack,
+    args: EVENT_SCHEMAS[event] === null ? tail : [payload, ...tail],
+  };
+}
+
+// Проверить входящее событие; ack - функция подтверждения или undefined
+// Возвращает null или { code, message } для отклоненного события
+function checkEvent(guard, event, payload, now, ack) {
+  if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) {
+    return { code: "unknownEvent", message: "Неизвестное событие" };
+  }
+
+  const limit = guard.limits[event];
+  if (limit) {
+    if (!guard.buckets[event]) {
+      guard.buckets[event] = createBucket(limit, now);
+    }
+    if (!takeToken(guard.buckets[event], limit, now)) {
+      return { code: "rateLimited", message: "Слишком частые события" };
+    }
+  }
+
+  const error = validatePayload(event, payload);
+  if (error) {
+    return { code: "invalidPayload", message: `Некорректные данные: ${error}` };
+  }
+  if (ACK_EVENTS.includes(event) && typeof ack !== "function") {
+    return { code: "missingAck", message: "Событию нужно подтверждение (ack)" };
+  }
+
+  return null;
+}
+
+// Учесть нарушение; true - лимит нарушений превышен и сокет нужно отключить
+function recordViolation(guard, now) {
+  guard.violations.push(now);
+  while (
+    guard.violations.length > 0 &&
+    now - guard.violations[0] > guard.violationWindow
+  ) {
+    guard.violations.shift();
+  }
+
+  return guard.violations.length > guard.maxViolations;
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  DEFAULT_EVENT_LIMITS,
+  validatePayload,
+  normalizeEventArgs,
+  createBucket,
+  takeToken,
+  createGuard,
+  checkEvent,
+  recordViolation,
+};
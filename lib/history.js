@@ -0,0 +1,179 @@
+// lib/history.js - История матчей и рейтинги игроков в файле JSON Lines
+// Каждая строка файла - один завершенный матч; при запуске сервера
+// файл перечитывается и рейтинги восстанавливаются из записей
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { INITIAL_RATING, updateRatings } = require("./elo");
+
+// Создать хранилище и загрузить сохраненную историю
+function createHistoryStore(filePath) {
+  const store = {
+    filePath,
+    matches: [],
+    players: new Map(),
+  };
+
+  loadHistory(store);
+  return store;
+}
+
+// Прочитать файл истории, пропуская поврежденные строки
+function loadHistory(store) {
+  fs.mkdirSync(path.dirname(store.filePath), { recursive: true });
+  if (!fs.existsSync(store.filePath)) return;
+
+  const lines = fs.readFileSync(store.filePath, "utf8").split("\n");
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    try {
+      applyRecord(store, JSON.parse(line));
+    } catch (error) {
+      console.log("Пропуск поврежденной записи истории:", error.message);
+    }
+  }
+
+  console.log(
+    `История загружена: ${store.matches.length} матчей, ${store.players.size} игроков`
+  );
+}
+
+function getOrCreatePlayer(store, playerId, name) {
+  if (!store.players.has(playerId)) {
+    store.players.set(playerId, {
+      id: playerId,
+      name: name || null,
+      rating: INITIAL_RATING,
+      wins: 0,
+      losses: 0,
+      matchesPlayed: 0,
+      lastPlayedAt: null,
+    });
+  }
+
+  return store.players.get(playerId);
+}
+
+// Текущий рейтинг игрока (новые игроки получают начальный)
+function getRating(store, playerId) {
+  const player = store.players.get(playerId);
+  return player ? player.rating : INITIAL_RATING;
+}
+
+// Учесть запись матча в профилях игроков
+function applyRecord(store, record) {
+  store.matches.push(record);
+
+  for (const entry of record.players) {
+    const player = getOrCreatePlayer(store, entry.playerId, entry.name);
+
+    player.name = entry.name || player.name;
+    player.rating = entry.ratingAfter;
+    player.matchesPlayed++;
+    player.lastPlayedAt = record.endedAt;
+
+    if (record.winner === entry.number) {
+      player.wins++;
+    } else if (record.winner) {
+      player.losses++;
+    }
+  }
+}
+
+// Сохранить завершенный матч и обновить рейтинги
+// players - [{ number, playerId, name }], scores - { 1: число, 2: число }
+function recordMatch(
+  store,
+  { matchId, players, scores, winner, startedAt, endedAt, forfeit = false }
+) {
+  const [first, second] = [...players].sort((a, b) => a.number - b.number);
+  const ratingBefore = {
+    [first.number]: getRating(store, first.playerId),
+    [second.number]: getRating(store, second.playerId),
+  };
+  const ratingAfter = { ...ratingBefore };
+
+  // Рейтинг меняется только в решенных матчах между разными игроками
+  if ((winner === 1 || winner === 2) && first.playerId !== second.playerId) {
+    const { ratingA, ratingB } = updateRatings(
+      ratingBefore[first.number],
+      ratingBefore[second.number],
+      winner === first.number ? 1 : 0
+    );
+    ratingAfter[first.number] = ratingA;
+    ratingAfter[second.number] = ratingB;
+  }
+
+  const record = {
+    id: uuidv4(),
+    matchId,
+    players: [first, second].map(player => ({
+      number: player.number,
+      playerId: player.playerId,
+      name: player.name || null,
+      score: scores[player.number],
+      ratingBefore: ratingBefore[player.number],
+      ratingAfter: ratingAfter[player.number],
+    })),
+    winner,
+    forfeit,
+    startedAt,
+    endedAt,
+    duration: endedAt - startedAt,
+  };
+
+  applyRecord(store, record);
+
+  fs.appendFile(store.filePath, JSON.stringify(record) + "\n", error => {
+    if (error) {
+      console.log("Ошибка записи истории матчей:", error.message);
+    }
+  });
+
+  return record;
+}
+
+// Последние матчи (новые первыми), при необходимости только одного игрока
+function getRecentMatches(store, { limit = 20, playerId } = {}) {
+  const result = [];
+
+  for (let i = store.matches.length - 1; i >= 0 && result.length < limit; i--) {
+    const record = store.matches[i];
+    if (!playerId || record.players.some(p => p.playerId === playerId)) {
+      result.push(record);
+    }
+  }
+
+  return result;
+}
+
+// Профиль игрока с последними матчами или null
+function getPlayerProfile(store, playerId) {
+  const player = store.players.get(playerId);
+  if (!player) return null;
+
+  return {
+    ...player,
+    rank: getLeaderboard(store).findIndex(p => p.id === playerId) + 1,
+    recentMatches: getRecentMatches(store, { limit: 10, playerId }),
+  };
+}
+
+// Таблица лидеров по рейтингу
+function getLeaderboard(store, limit = Infinity) {
+  return [...store.players.values()]
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+    .slice(0, limit)
+    .map((player, index) => ({ rank: index + 1, ...player }));
+}
+
+module.exports = {
+  createHistoryStore,
+  getRating,
+  recordMatch,
+  applyRecord,
+  getRecentMatches,
+  getPlayerProfile,
+  getLeaderboard,
+};
@@ -0,0 +1,152 @@
+// lib/matchmaking.js - Очередь подбора соперников
+// Очередь не знает о сокетах: сервер кладет в нее записи и сам
+// уведомляет игроков о найденных парах и истекших ожиданиях
+
+const DEFAULT_SKILL = 1000; // Рейтинг игрока, если клиент его не передал
+const RECENT_WAITS_LIMIT = 50; // Сколько последних ожиданий учитывать в статистике
+
+// Создать очередь подбора
+// skillRange - начальная допустимая разница рейтингов (Infinity отключает проверку)
+// skillWidening - расширение диапазона за каждую секунду ожидания
+function createQueue({
+  timeout = 120000,
+  skillRange = Infinity,
+  skillWidening = 0,
+  maxSkillRange = Infinity,
+} = {}) {
+  return {
+    options: { timeout, skillRange, skillWidening, maxSkillRange },
+    entries: [],
+    recentWaits: [],
+  };
+}
+
+// Добавить игрока в очередь; повторное добавление игнорируется
+// rules - правила матча, который хочет сыграть игрок
+function enqueue(queue, { id, skill, rules = null }, now) {
+  if (isQueued(queue, id)) return false;
+
+  queue.entries.push({
+    id,
+    skill: Number.isFinite(skill) ? skill : DEFAULT_SKILL,
+    rules,
+    // Игроки совместимы только при одинаковых правилах
+    rulesKey: JSON.stringify(rules),
+    joinedAt: now,
+  });
+
+  return true;
+}
+
+// Убрать игрока из очереди
+function removeFromQueue(queue, id) {
+  const index = queue.entries.findIndex(entry => entry.id === id);
+  if (index === -1) return false;
+
+  queue.entries.splice(index, 1);
+  return true;
+}
+
+function isQueued(queue, id) {
+  return queue.entries.some(entry => entry.id === id);
+}
+
+// Допустимая разница рейтингов растет со временем ожидания
+function allowedSkillRange(queue, entry, now) {
+  const { skillRange, skillWidening, maxSkillRange } = queue.options;
+  const waitSeconds = (now - entry.joinedAt) / 1000;
+
+  return Math.min(skillRange + skillWidening * waitSeconds, maxSkillRange);
+}
+
+// Совместимы ли два игрока: правила должны совпадать,
+// а разницу рейтингов решает диапазон того, кто ждет дольше
+function isCompatible(queue, older, newer, now) {
+  if (older.rulesKey !== newer.rulesKey) return false;
+
+  const range = Math.max(
+    allowedSkillRange(queue, older, now),
+    allowedSkillRange(queue, newer, now)
+  );
+
+  return Math.abs(older.skill - newer.skill) <= range;
+}
+
+// Сохранить время ожидания для статистики
+function recordWait(queue, entry, now) {
+  queue.recentWaits.push(now - entry.joinedAt);
+  if (queue.recentWaits.length > RECENT_WAITS_LIMIT) {
+    queue.recentWaits.shift();
+  }
+}
+
+// Составить пары из самых долго ожидающих совместимых игроков
+// Найденные пары удаляются из очереди
+function findPairs(queue, now) {
+  const pairs = [];
+  // Очередь упорядочена по времени входа: первые ждут дольше всех
+  const waiting = [...queue.entries];
+
+  for (let i = 0; i < waiting.length; i++) {
+    const older = waiting[i];
+    if (!older) continue;
+
+    for (let j = i + 1; j < waiting.length; j++) {
+      const newer = waiting[j];
+      if (!newer || !isCompatible(queue, older, newer, now)) continue;
+
+      pairs.push([older, newer]);
+      waiting[i] = null;
+      waiting[j] = null;
+      break;
+    }
+  }
+
+  for (const [first, second] of pairs) {
+    removeFromQueue(queue, first.id);
+    removeFromQueue(queue, second.id);
+    recordWait(queue, first, now);
+    recordWait(queue, second, now);
+  }
+
+  return pairs;
+}
+
+// Удалить игроков, ожидающих дольше таймаута
+function expireEntries(queue, now) {
+  const expired = queue.entries.filter(
+    entry => now - entry.joinedAt >= queue.options.timeout
+  );
+
+  expired.forEach(entry => removeFromQueue(queue, entry.id));
+  return expired;
+}
+
+// Статистика очереди для мониторинга
+function getQueueStats(queue, now) {
+  const { entries, recentWaits } = queue;
+  const average = values =>
+    values.length > 0
+      ? Math.round(
+          values.reduce((sum, value) => sum + value, 0) / values.length
+        )
+      : 0;
+
+  return {
+    queueLength: entries.length,
+    // Среднее ожидание игроков, недавно получивших соперника (мс)
+    averageWaitTime: average(recentWaits),
+    // Среднее ожидание игроков, которые сейчас в очереди (мс)
+    currentAverageWait: average(entries.map(entry => now - entry.joinedAt)),
+  };
+}
+
+module.exports = {
+  createQueue,
+  enqueue,
+  removeFromQueue,
+  isQueued,
+  findPairs,
+  expireEntries,
+  getQueueStats,
+};
@@ -0,0 +1,249 @@
+// lib/metrics.js - Метрики сервера в текстовом формате Prometheus
+// Поддерживаются счетчики и гистограммы с метками, датчики, значение которых
+// считывается при запросе, и сводки с квантилями по скользящему окну
+
+// Границы гистограммы по умолчанию (секунды)
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+// Квантили сводки и размер окна последних наблюдений
+const DEFAULT_QUANTILES = [0.5, 0.9, 0.99];
+const DEFAULT_SUMMARY_WINDOW = 1000;
+
+// Создать реестр метрик
+function createMetricsRegistry(prefix = "") {
+  return {
+    prefix,
+    metrics: [],
+  };
+}
+
+function addMetric(registry, metric) {
+  metric.name = registry.prefix + metric.name;
+  registry.metrics.push(metric);
+  return metric;
+}
+
+// Ключ набора меток для хранения значений
+function labelsKey(labels) {
+  return JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map(key => [key, String(labels[key])])
+  );
+}
+
+// Экранировать значение метки по правилам формата Prometheus
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+
+  return `{${entries
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+// Счетчик: монотонно растущее значение
+function registerCounter(registry, name, help) {
+  return addMetric(registry, {
+    type: "counter",
+    name,
+    help,
+    values: new Map(),
+  });
+}
+
+function incCounter(counter, labels = {}, value = 1) {
+  const key = labelsKey(labels);
+  const entry = counter.values.get(key);
+  if (entry) {
+    entry.value += value;
+  } else {
+    counter.values.set(key, { labels, value });
+  }
+}
+
+// Датчик: значение считывается функцией collect в момент запроса
+// collect возвращает число или массив { labels, value }
+function registerGauge(registry, name, help, collect) {
+  return addMetric(registry, {
+    type: "gauge",
+    name,
+    help,
+    collect,
+  });
+}
+
+// Гистограмма распределения значений
+function registerHistogram(registry, name, help, buckets = DEFAULT_BUCKETS) {
+  return addMetric(registry, {
+    type: "histogram",
+    name,
+    help,
+    buckets: [...buckets].sort((a, b) => a - b),
+    values: new Map(),
+  });
+}
+
+function observeHistogram(histogram, value, labels = {}) {
+  const key = labelsKey(labels);
+  let entry = histogram.values.get(key);
+  if (!entry) {
+    entry = {
+      labels,
+      counts: histogram.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    histogram.values.set(key, entry);
+  }
+
+  histogram.buckets.forEach((bound, index) => {
+    if (value <= bound) entry.counts[index]++;
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+// Сводка с квантилями по последним наблюдениям
+function registerSummary(
+  registry,
+  name,
+  help,
+  { quantiles = DEFAULT_QUANTILES, window = DEFAULT_SUMMARY_WINDOW } = {}
+) {
+  return addMetric(registry, {
+    type: "summary",
+    name,
+    help,
+    quantiles,
+    window,
+    samples: [],
+    sum: 0,
+    count: 0,
+  });
+}
+
+function observeSummary(summary, value) {
+  summary.samples.push(value);
+  if (summary.samples.length > summary.window) {
+    summary.samples.shift();
+  }
+  summary.sum += value;
+  summary.count++;
+}
+
+// Квантиль отсортированной выборки
+function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const index = Math.min(sorted.length - 1, Math.floor(q * sorted.length));
+  return sorted[index];
+}
+
+// Строки значений одной метрики
+function renderSamples(metric) {
+  const lines = [];
+
+  switch (metric.type) {
+    case "counter":
+      for (const { labels, value } of metric.values.values()) {
+        lines.push(
+          `${metric.name}${formatLabels(labels)} ${formatValue(value)}`
+        );
+      }
+      break;
+
+    case "gauge": {
+      const collected = metric.collect();
+      const values = Array.isArray(collected)
+        ? collected
+        : [{ labels: {}, value: collected }];
+      for (const { labels, value } of values) {
+        lines.push(
+          `${metric.name}${formatLabels(labels)} ${formatValue(value)}`
+        );
+      }
+      break;
+    }
+
+    case "histogram":
+      for (const entry of metric.values.values()) {
+        metric.buckets.forEach((bound, index) => {
+          const labels = { ...entry.labels, le: formatValue(bound) };
+          lines.push(
+            `${metric.name}_bucket${formatLabels(labels)} ${
+              entry.counts[index]
+            }`
+          );
+        });
+        lines.push(
+          `${metric.name}_bucket${formatLabels({
+            ...entry.labels,
+            le: "+Inf",
+          })} ${entry.count}`
+        );
+        lines.push(
+          `${metric.name}_sum${formatLabels(entry.labels)} ${formatValue(
+            entry.sum
+          )}`
+        );
+        lines.push(
+          `${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`
+        );
+      }
+      break;
+
+    case "summary": {
+      const sorted = [...metric.samples].sort((a, b) => a - b);
+      for (const q of metric.quantiles) {
+        lines.push(
+          `${metric.name}${formatLabels({ quantile: q })} ${formatValue(
+            quantile(sorted, q)
+          )}`
+        );
+      }
+      lines.push(`${metric.name}_sum ${formatValue(metric.sum)}`);
+      lines.push(`${metric.name}_count ${metric.count}`);
+      break;
+    }
+  }
+
+  return lines;
+}
+
+// Все метрики реестра в текстовом формате Prometheus 0.0.4
+function renderMetrics(registry) {
+  const lines = [];
+
+  for (const metric of registry.metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...renderSamples(metric));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  createMetricsRegistry,
+  registerCounter,
+  incCounter,
+  registerGauge,
+  registerHistogram,
+  observeHistogram,
+  registerSummary,
+  observeSummary,
+  renderMetrics,
+};
@@ -0,0 +1,242 @@
+// lib/powerups.js - Бонусы аркадного режима
+// Бонусы появляются в случайных местах стола и срабатывают, когда их касается
+// шайба. Эффект получает игрок, последним ударивший по этой шайбе (или его
+// соперник - для вредных эффектов). Все таймеры считаются в тиках симуляции,
+// а места появления - отдельным генератором из зерна матча, поэтому матч
+// с бонусами так же воспроизводим, как и без них.
+const { createRng, nextRandom } = require("./rng");
+
+// Появление бонусов: интервал (с), время жизни на столе (с), радиус и
+// сколько бонусов может лежать на столе одновременно
+const SPAWN_INTERVAL_MIN = 6;
+const SPAWN_INTERVAL_MAX = 12;
+const POWER_UP_LIFETIME = 10;
+const POWER_UP_RADIUS = 18;
+const MAX_ON_TABLE = 2;
+// Бонусы не появляются у самых ворот
+const SPAWN_MARGIN_Y = 0.2;
+
+// Эффекты бонусов
+// target: hitter - последний ударивший, opponent - его соперник,
+// puck - шайба, table - оба игрока; duration - длительность (с)
+const POWER_UPS = {
+  // Увеличенная бита
+  bigMallet: { target: "hitter", duration: 8, scale: 1.5 },
+  // Ворота соперника уже
+  smallGoal: { target: "opponent", duration: 10, scale: 0.6 },
+  // Разгон подобравшей шайбы и повышенный предел скорости
+  speedBoost: { target: "puck", duration: 5, scale: 1.5 },
+  // Бита соперника не двигается
+  freeze: { target: "opponent", duration: 1.5 },
+  // Обе пары ворот постепенно сужаются до половины ширины
+  shrinkingGoals: { target: "table", duration: 12, scale: 0.5 },
+};
+const POWER_UP_TYPES = Object.keys(POWER_UPS);
+
+// Модификаторы физики без действующих эффектов
+function createModifiers() {
+  return {
+    malletScale: { 1: 1, 2: 1 },
+    // Масштаб ворот по номеру защищающего их игрока
+    goalScale: { 1: 1, 2: 1 },
+    speedScale: 1,
+    frozen: { 1: false, 2: false },
+  };
+}
+
+// Состояние бонусов матча; tickRate - тиков симуляции в секунду
+function createPowerUps(seed, tickRate) {
+  const rng = createRng((seed ^ 0x9e3779b9) >>> 0);
+  const state = {
+    rng,
+    tickRate,
+    nextId: 1,
+    // Бонусы на столе и действующие эффекты
+    items: [],
+    effects: [],
+    nextSpawnTick: 0,
+  };
+  state.nextSpawnTick = spawnDelay(state);
+  return state;
+}
+
+function toTicks(state, seconds) {
+  return Math.round(seconds * state.tickRate);
+}
+
+// Случайная задержка до следующего появления
+function spawnDelay(state) {
+  const seconds =
+    SPAWN_INTERVAL_MIN +
+    nextRandom(state.rng) * (SPAWN_INTERVAL_MAX - SPAWN_INTERVAL_MIN);
+  return toTicks(state, seconds);
+}
+
+// Положить новый бонус в случайное место стола
+function spawnPowerUp(state, canvasSize, tick) {
+  const { width, height } = canvasSize;
+  const type =
+    POWER_UP_TYPES[Math.floor(nextRandom(state.rng) * POWER_UP_TYPES.length)];
+  const x =
+    POWER_UP_RADIUS + nextRandom(state.rng) * (width - POWER_UP_RADIUS * 2);
+  const y =
+    height * SPAWN_MARGIN_Y +
+    nextRandom(state.rng) * height * (1 - SPAWN_MARGIN_Y * 2);
+
+  const item = {
+    id: state.nextId++,
+    type,
+    pos: { x, y },
+    radius: POWER_UP_RADIUS,
+    expiresTick: tick + toTicks(state, POWER_UP_LIFETIME),
+  };
+  state.items.push(item);
+  return item;
+}
+
+// Включить эффект от бонуса, подобранного шайбой puck
+// Повторный такой же эффект продлевает действующий
+function applyEffect(state, type, puck, tick) {
+  const definition = POWER_UPS[type];
+  const hitter = puck.lastHitter;
+  const opponent = hitter === 1 ? 2 : 1;
+  const target =
+    definition.target === "hitter"
+      ? hitter
+      : definition.target === "opponent"
+      ? opponent
+      : null;
+
+  state.effects = state.effects.filter(
+    effect => effect.type !== type || effect.target !== target
+  );
+
+  const effect = {
+    id: state.nextId++,
+    type,
+    target,
+    startTick: tick,
+    endTick: tick + toTicks(state, definition.duration),
+  };
+  state.effects.push(effect);
+
+  // Разгон шайбы срабатывает сразу
+  if (type === "speedBoost") {
+    puck.velocity.x *= definition.scale;
+    puck.velocity.y *= definition.scale;
+  }
+
+  return effect;
+}
+
+// Пересчитать модификаторы физики по действующим эффектам
+function updateModifiers(state, sim, tick) {
+  const modifiers = createModifiers();
+
+  for (const effect of state.effects) {
+    const definition = POWER_UPS[effect.type];
+    switch (effect.type) {
+      case "bigMallet":
+        modifiers.malletScale[effect.target] *= definition.scale;
+        break;
+      case "smallGoal":
+        modifiers.goalScale[effect.target] *= definition.scale;
+        break;
+      case "speedBoost":
+        modifiers.speedScale *= definition.scale;
+        break;
+      case "freeze":
+        modifiers.frozen[effect.target] = true;
+        break;
+      case "shrinkingGoals": {
+        const progress =
+          (tick - effect.startTick) / (effect.endTick - effect.startTick);
+        const scale = 1 - (1 - definition.scale) * Math.min(1, progress);
+        modifiers.goalScale[1] *= scale;
+        modifiers.goalScale[2] *= scale;
+        break;
+      }
+    }
+  }
+
+  sim.modifiers = modifiers;
+}
+
+// Один тик бонусов: появление, подбор шайбой и окончание эффектов
+// Возвращает события powerUpSpawned, powerUpCollected и powerUpExpired
+function stepPowerUps(sim) {
+  const state = sim.powerUps;
+  const { tick } = sim;
+  const events = [];
+
+  // Эффекты заканчиваются по своим таймерам
+  state.effects = state.effects.filter(effect => {
+    if (tick < effect.endTick) return true;
+    events.push({ type: "powerUpExpired", effect, reason: "timeout" });
+    return false;
+  });
+
+  // Неподобранные бонусы исчезают со стола
+  state.items = state.items.filter(item => {
+    if (tick < item.expiresTick) return true;
+    events.push({ type: "powerUpExpired", item, reason: "timeout" });
+    return false;
+  });
+
+  // Бонус срабатывает от касания шайбы, если по ней уже кто-то ударил
+  for (const puck of sim.state.pucks) {
+    if (!puck.lastHitter) continue;
+
+    state.items = state.items.filter(item => {
+      const dx = puck.pos.x - item.pos.x;
+      const dy = puck.pos.y - item.pos.y;
+      const reach = sim.physics.puckRadius + item.radius;
+      if (dx * dx + dy * dy >= reach * reach) return true;
+
+      const effect = applyEffect(state, item.type, puck, tick);
+      events.push({
+        type: "powerUpCollected",
+        item,
+        effect,
+        playerNumber: puck.lastHitter,
+        puckId: puck.id,
+      });
+      return false;
+    });
+  }
+
+  if (tick >= state.nextSpawnTick) {
+    if (state.items.length < MAX_ON_TABLE) {
+      const item = spawnPowerUp(state, sim.state.canvasSize, tick);
+      events.push({ type: "powerUpSpawned", item });
+    }
+    state.nextSpawnTick = tick + spawnDelay(state);
+  }
+
+  updateModifiers(state, sim, tick);
+  return events;
+}
+
+// Убрать со стола все бонусы и снять эффекты (сброс игры)
+// Возвращает события powerUpExpired
+function clearPowerUps(sim) {
+  const state = sim.powerUps;
+  const events = [
+    ...state.items.map(item => ({ type: "powerUpExpired", item })),
+    ...state.effects.map(effect => ({ type: "powerUpExpired", effect })),
+  ].map(event => ({ ...event, reason: "reset" }));
+
+  state.items = [];
+  state.effects = [];
+  state.nextSpawnTick = sim.tick + spawnDelay(state);
+  sim.modifiers = createModifiers();
+  return events;
+}
+
+module.exports = {
+  POWER_UPS,
+  createModifiers,
+  createPowerUps,
+  stepPowerUps,
+  clearPowerUps,
+};
@@ -0,0 +1,85 @@
+// lib/registry.js - Реестр владельцев матчей
+// Хранит, какой процесс обслуживает какой матч. В одиночном режиме реестр
+// живет в самом сервере, в кластере - в основном процессе, а рабочие
+// процессы обращаются к нему через IPC (см. lib/cluster.js)
+
+// Создать пустой реестр
+function createRegistry() {
+  return {
+    owners: new Map(),
+  };
+}
+
+// Закрепить матч за владельцем, если он еще свободен
+// Возвращает фактического владельца матча
+function claimMatch(registry, matchId, owner) {
+  if (!registry.owners.has(matchId)) {
+    registry.owners.set(matchId, owner);
+  }
+
+  return registry.owners.get(matchId);
+}
+
+// Владелец матча или null
+function lookupMatch(registry, matchId) {
+  return registry.owners.get(matchId) || null;
+}
+
+// Освободить матч; чужой матч освободить нельзя
+function releaseMatch(registry, matchId, owner) {
+  if (registry.owners.get(matchId) !== owner) return false;
+
+  registry.owners.delete(matchId);
+  return true;
+}
+
+// Освободить все матчи владельца (например, упавшего процесса)
+function releaseOwner(registry, owner) {
+  let released = 0;
+  for (const [matchId, matchOwner] of registry.owners) {
+    if (matchOwner === owner) {
+      registry.owners.delete(matchId);
+      released++;
+    }
+  }
+
+  return released;
+}
+
+// Сводка реестра: число матчей у каждого владельца
+function getRegistryStats(registry) {
+  const byOwner = {};
+  for (const owner of registry.owners.values()) {
+    byOwner[owner] = (byOwner[owner] || 0) + 1;
+  }
+
+  return {
+    totalMatches: registry.owners.size,
+    byOwner,
+  };
+}
+
+// Клиент реестра для сервера в одиночном режиме
+// Интерфейс совпадает с IPC-клиентом кластера: ответы приходят в callback
+function createLocalRegistryClient(owner = "local") {
+  const registry = createRegistry();
+
+  return {
+    owner,
+    claim: (matchId, callback = () => {}) =>
+      callback(claimMatch(registry, matchId, owner)),
+    lookup: (matchId, callback) => callback(lookupMatch(registry, matchId)),
+    release: matchId => releaseMatch(registry, matchId, owner),
+    stats: callback => callback(getRegistryStats(registry)),
+  };
+}
+
+module.exports = {
+  createRegistry,
+  claimMatch,
+  lookupMatch,
+  releaseMatch,
+  releaseOwner,
+  getRegistryStats,
+  createLocalRegistryClient,
+};
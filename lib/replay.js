@@ -0,0 +1,186 @@
+// lib/replay.js - Запись авторитетной хронологии матча и ее воспроизведение
+// Повтор хранится в сжатом gzip JSON: начальное состояние, компактные кадры
+// [время, тик, игрок 1 x/y, игрок 2 x/y, затем для каждой шайбы
+// id, x/y, скорость x/y] и события
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const REPLAY_VERSION = 1;
+const REPLAY_SPEEDS = [0.5, 1, 2];
+
+// Округлить координату до сотых для компактности файла
+function quantize(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Начать запись матча с его начального состояния
+function createRecording({ matchId, seed, gameState, startTime }) {
+  return {
+    version: REPLAY_VERSION,
+    matchId,
+    seed,
+    startTime,
+    initialState: JSON.parse(JSON.stringify(gameState)),
+    frames: [],
+    events: [],
+  };
+}
+
+// Добавить кадр с позициями шайб и бит
+function recordFrame(recording, now, tick, gameState) {
+  const { pucks, player1Pos, player2Pos } = gameState;
+
+  recording.frames.push([
+    now - recording.startTime,
+    tick,
+    quantize(player1Pos.x),
+    quantize(player1Pos.y),
+    quantize(player2Pos.x),
+    quantize(player2Pos.y),
+    ...pucks.flatMap(puck => [
+      puck.id,
+      quantize(puck.pos.x),
+      quantize(puck.pos.y),
+      quantize(puck.velocity.x),
+      quantize(puck.velocity.y),
+    ]),
+  ]);
+}
+
+// Добавить событие (гол, сброс и т.п.) с копией состояния на этот момент
+function recordEvent(recording, now, type, data = {}) {
+  recording.events.push({
+    t: now - recording.startTime,
+    type,
+    ...JSON.parse(JSON.stringify(data)),
+  });
+}
+
+// Путь к файлу повтора; ID матча кодируется, чтобы не выйти за пределы каталога
+function replayFilePath(directory, matchId) {
+  return path.join(directory, `${encodeURIComponent(matchId)}.replay.gz`);
+}
+
+// Сохранить повтор на диск
+function saveReplay(directory, recording, callback) {
+  const json = JSON.stringify({
+    ...recording,
+    duration:
+      recording.frames.length > 0
+        ? recording.frames[recording.frames.length - 1][0]
+        : 0,
+  });
+
+  zlib.gzip(json, (error, compressed) => {
+    if (error) return callback(error);
+
+    fs.mkdir(directory, { recursive: true }, mkdirError => {
+      if (mkdirError) return callback(mkdirError);
+      fs.writeFile(
+        replayFilePath(directory, recording.matchId),
+        compressed,
+        callback
+      );
+    });
+  });
+}
+
+// Загрузить и распаковать повтор
+function loadReplay(directory, matchId, callback) {
+  fs.readFile(replayFilePath(directory, matchId), (error, compressed) => {
+    if (error) return callback(error);
+
+    zlib.gunzip(compressed, (gunzipError, json) => {
+      if (gunzipError) return callback(gunzipError);
+
+      let replay;
+      try {
+        replay = JSON.parse(json.toString("utf8"));
+      } catch (parseError) {
+        return callback(parseError);
+      }
+      callback(null, replay);
+    });
+  });
+}
+
+// Развернуть компактный кадр в объект
+function expandFrame(frame) {
+  const pucks = [];
+  for (let offset = 6; offset < frame.length; offset += 5) {
+    pucks.push({
+      id: frame[offset],
+      pos: { x: frame[offset + 1], y: frame[offset + 2] },
+      velocity: { x: frame[offset + 3], y: frame[offset + 4] },
+    });
+  }
+
+  return {
+    t: frame[0],
+    tick: frame[1],
+    player1Pos: { x: frame[2], y: frame[3] },
+    player2Pos: { x: frame[4], y: frame[5] },
+    pucks,
+  };
+}
+
+// Воспроизвести повтор в реальном времени с заданной скоростью
+// handlers: onFrame(frame), onEvent(event), onEnd()
+function createPlayback(replay, speed, { onFrame, onEvent, onEnd }) {
+  // Общая хронология кадров и событий, упорядоченная по времени
+  const timeline = [
+    ...replay.frames.map(frame => ({ t: frame[0], frame })),
+    ...replay.events.map(event => ({ t: event.t, event })),
+  ].sort((a, b) => a.t - b.t);
+
+  const playback = { timer: null, stopped: false };
+  const startedAt = Date.now();
+  let index = 0;
+
+  const playDue = () => {
+    if (playback.stopped) return;
+
+    const elapsed = (Date.now() - startedAt) * speed;
+    while (index < timeline.length && timeline[index].t <= elapsed) {
+      const item = timeline[index++];
+      if (item.frame) {
+        onFrame(expandFrame(item.frame));
+      } else {
+        onEvent(item.event);
+      }
+    }
+
+    if (index >= timeline.length) {
+      playback.stopped = true;
+      onEnd();
+      return;
+    }
+
+    const delay = (timeline[index].t - elapsed) / speed;
+    playback.timer = setTimeout(playDue, Math.max(0, delay));
+  };
+
+  playDue();
+  return playback;
+}
+
+// Остановить воспроизведение
+function stopPlayback(playback) {
+  if (!playback) return;
+
+  playback.stopped = true;
+  clearTimeout(playback.timer);
+}
+
+module.exports = {
+  REPLAY_SPEEDS,
+  createRecording,
+  recordFrame,
+  recordEvent,
+  replayFilePath,
+  saveReplay,
+  loadReplay,
+  createPlayback,
+  stopPlayback,
+};
@@ -0,0 +1,28 @@
+// lib/rng.js - Детерминированный генератор случайных чисел (mulberry32)
+// Состояние хранится как обычное число, поэтому его можно копировать
+// вместе с симуляцией для воспроизведения и предсказания
+
+// Создать состояние генератора из зерна
+function createRng(seed) {
+  return { state: seed >>> 0 };
+}
+
+// Получить следующее число в диапазоне [0, 1) и продвинуть состояние
+function nextRandom(rng) {
+  rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Случайное зерно для нового матча
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+module.exports = {
+  createRng,
+  nextRandom,
+  randomSeed,
+};
@@ -0,0 +1,163 @@
+// lib/rules.js - Правила матча: пресеты и проверка пользовательских настроек
+const { DEFAULT_PHYSICS, MAX_PUCKS } = require("./simulation");
+const { DEFAULT_ARENAS, validateArenaRules } = require("./arena");
+
+// Классические правила: игра до 10 голов без ограничения времени
+const CLASSIC_RULES = {
+  preset: "classic",
+  winningScore: 10,
+  // Ограничение времени матча (мс), null - без ограничения
+  timeLimit: null,
+  // Длительность овертайма при ничьей по истечении времени (мс), 0 - без овертайма
+  overtime: 0,
+  // Внезапная смерть: при ничьей после овертайма побеждает следующий гол
+  suddenDeath: false,
+  // Пауза после гола перед возобновлением игры (мс)
+  goalPause: 3000,
+  // Длина серии: матч до победы в большинстве из bestOf игр (реванши)
+  bestOf: 1,
+  // Аркадные бонусы на столе
+  powerUps: false,
+  // Арена: размер и форма стола (встроенная или из настройки game.arenas)
+  arena: "classic",
+  ...DEFAULT_PHYSICS,
+};
+
+const PRESETS = {
+  classic: CLASSIC_RULES,
+  // Быстрая игра до 5 голов
+  quick: {
+    ...CLASSIC_RULES,
+    preset: "quick",
+    winningScore: 5,
+  },
+  // Игра на время: 3 минуты, минута овертайма, затем внезапная смерть
+  timed: {
+    ...CLASSIC_RULES,
+    preset: "timed",
+    winningScore: null,
+    timeLimit: 180000,
+    overtime: 60000,
+    suddenDeath: true,
+  },
+  // Аркада: классический счет и бонусы на столе
+  arcade: {
+    ...CLASSIC_RULES,
+    preset: "arcade",
+    powerUps: true,
+  },
+  // Несколько шайб сразу (до трех правилом puckCount)
+  multiPuck: {
+    ...CLASSIC_RULES,
+    preset: "multiPuck",
+    puckCount: 2,
+  },
+};
+
+// Допустимые значения настраиваемых правил
+const RULE_LIMITS = {
+  winningScore: { min: 1, max: 50, integer: true, nullable: true },
+  timeLimit: { min: 30000, max: 3600000, integer: true, nullable: true },
+  overtime: { min: 0, max: 600000, integer: true },
+  suddenDeath: { boolean: true },
+  goalPause: { min: 0, max: 10000, integer: true },
+  bestOf: { values: [1, 3, 5, 7] },
+  powerUps: { boolean: true },
+  arena: { arena: true },
+  playerRadius: { min: 15, max: 80 },
+  puckRadius: { min: 8, max: 60 },
+  goalWidth: { min: 40, max: 400 },
+  maxSpeed: { min: 5, max: 60 },
+  friction: { min: 0.9, max: 1 },
+  puckCount: { min: 1, max: MAX_PUCKS, integer: true },
+};
+
+// Проверить одно значение правила, вернуть текст ошибки или null
+// arenas - известные арены по названию
+function validateRuleValue(key, value, arenas) {
+  const limits = RULE_LIMITS[key];
+
+  if (limits.arena) {
+    return typeof value === "string" &&
+      Object.prototype.hasOwnProperty.call(arenas, value)
+      ? null
+      : `Неизвестная арена: ${value}`;
+  }
+  if (limits.boolean) {
+    return typeof value === "boolean"
+      ? null
+      : `Правило ${key} должно быть boolean`;
+  }
+  if (limits.values) {
+    return limits.values.includes(value)
+      ? null
+      : `Правило ${key} должно быть одним из: ${limits.values.join(", ")}`;
+  }
+  if (value === null && limits.nullable) return null;
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return `Правило ${key} должно быть числом`;
+  }
+  if (limits.integer && !Number.isInteger(value)) {
+    return `Правило ${key} должно быть целым числом`;
+  }
+  if (value < limits.min || value > limits.max) {
+    return `Правило ${key} должно быть от ${limits.min} до ${limits.max}`;
+  }
+
+  return null;
+}
+
+// Собрать правила матча из названия пресета или объекта { preset, ...переопределения }
+// arenas - арены сервера (настройка game.arenas)
+// Возвращает { rules } или { error }
+function resolveRules(input, arenas = DEFAULT_ARENAS) {
+  if (input === undefined || input === null) {
+    return { rules: { ...CLASSIC_RULES } };
+  }
+
+  const options = typeof input === "string" ? { preset: input } : input;
+  if (typeof options !== "object" || Array.isArray(options)) {
+    return { error: "Правила должны быть названием пресета или объектом" };
+  }
+
+  const { preset = "classic", ...overrides } = options;
+  if (!Object.prototype.hasOwnProperty.call(PRESETS, preset)) {
+    return { error: `Неизвестный пресет правил: ${preset}` };
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!RULE_LIMITS[key]) {
+      return { error: `Неизвестное правило: ${key}` };
+    }
+
+    const error = validateRuleValue(key, value, arenas);
+    if (error) return { error };
+  }
+
+  const rules = { ...PRESETS[preset], ...overrides };
+
+  // Матч должен когда-нибудь закончиться
+  if (rules.winningScore === null && rules.timeLimit === null) {
+    return { error: "Нужен лимит голов или ограничение времени" };
+  }
+
+  const arenaError = validateArenaRules(arenas[rules.arena], rules);
+  if (arenaError) return { error: arenaError };
+
+  return { rules };
+}
+
+// Параметры физики из правил для симуляции
+function physicsFromRules(rules) {
+  const physics = {};
+  Object.keys(DEFAULT_PHYSICS).forEach(key => {
+    physics[key] = rules[key];
+  });
+  return physics;
+}
+
+module.exports = {
+  PRESETS,
+  resolveRules,
+  physicsFromRules,
+};
@@ -0,0 +1,60 @@
+// lib/series.js - Серия игр одного матча (до победы в большинстве из bestOf)
+// Серия ведется по постоянным playerId: при реванше игроки меняются
+// сторонами стола, и номера игроков в матче меняются местами.
+
+// Создать серию из bestOf игр
+function createSeries(bestOf) {
+  return {
+    bestOf,
+    games: [],
+    // Победы по playerId
+    wins: {},
+    winner: null,
+  };
+}
+
+// Сколько побед нужно для выигрыша серии
+function winsNeeded(series) {
+  return Math.floor(series.bestOf / 2) + 1;
+}
+
+// Учесть сыгранную игру; winner - playerId или null при ничьей
+// goals - голы по playerId
+function recordSeriesGame(series, { winner, goals }) {
+  series.games.push({ winner, goals });
+
+  if (winner) {
+    series.wins[winner] = (series.wins[winner] || 0) + 1;
+    if (series.wins[winner] >= winsNeeded(series)) {
+      series.winner = winner;
+    }
+  }
+}
+
+// Серия решена: следующий реванш начинает новую серию
+function isSeriesDecided(series) {
+  return series.winner !== null;
+}
+
+// Сведения о серии для клиентов; players - игроки матча с номерами
+function describeSeries(series, players) {
+  return {
+    bestOf: series.bestOf,
+    gamesPlayed: series.games.length,
+    winsNeeded: winsNeeded(series),
+    wins: players.map(player => ({
+      playerNumber: player.number,
+      playerId: player.playerId,
+      wins: series.wins[player.playerId] || 0,
+    })),
+    decided: isSeriesDecided(series),
+    winner: series.winner,
+  };
+}
+
+module.exports = {
+  createSeries,
+  recordSeriesGame,
+  isSeriesDecided,
+  describeSeries,
+};
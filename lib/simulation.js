@@ -0,0 +1,857 @@
+// lib/simulation.js - Детерминированная физика Air Hockey с фиксированным шагом
+// Модуль не зависит от socket.io и от системного времени: одинаковые входные
+// данные (зерно, размер стола, позиции бит по тикам) всегда дают один и тот же матч
+const { createRng, nextRandom } = require("./rng");
+const { createModifiers, stepPowerUps } = require("./powerups");
+const { DEFAULT_ARENAS, tableObstacles, keepInside } = require("./arena");
+
+// Параметры стола и физики по умолчанию; матч может переопределить их правилами
+const DEFAULT_PHYSICS = {
+  playerRadius: 35,
+  puckRadius: 20,
+  goalWidth: 120,
+  maxSpeed: 30, // Максимальная скорость шайбы
+  friction: 0.997, // Слегка уменьшенное трение для более плавного скольжения
+  puckCount: 1, // Сколько шайб одновременно на столе
+};
+// Больше шайб стол не вмещает
+const MAX_PUCKS = 3;
+
+// Константы физики для более плавного движения
+const AIR_RESISTANCE = 0.9998; // Уменьшенное сопротивление воздуха
+const BOARD_RESTITUTION = 0.97; // Увеличенное сохранение энергии при отскоке
+const MIN_VELOCITY = 0.2; // Меньший порог минимальной скорости
+const MALLET_RESTITUTION = 0.9; // Упругость удара шайбы о биту
+const BASE_HIT_VELOCITY = 10; // Минимальная скорость шайбы после удара битой
+const PUCK_RESTITUTION = 0.95; // Сохранение энергии при ударе шайб друг о друга
+
+// Фиксированный шаг симуляции; частоту тиков можно задать при создании
+const TICK_RATE = 120; // Тиков в секунду по умолчанию
+const TICK_DT = 1 / TICK_RATE; // Длительность тика в секундах
+// Скорость шайбы измеряется в пикселях за кадр 60 FPS
+const FRAME_RATE = 60;
+// Не более 100 мс симуляции за один вызов, чтобы не уйти в "спираль смерти"
+const MAX_ADVANCE_TIME = 0.1;
+// Бита считается неподвижной, если от игрока нет движений дольше 50 мс
+const MALLET_IDLE_TIME = 0.05;
+// Сколько последних секунд хранить для перемотки
+const HISTORY_TIME = 0.5;
+// Предел столкновений одной шайбы за тик (защита от зацикливания в тесноте)
+const MAX_COLLISIONS_PER_STEP = 8;
+
+// Состояние отслеживания биты для расчета ее скорости
+function createMalletTracker() {
+  return {
+    velocity: { x: 0, y: 0 },
+    fromPos: { x: 0, y: 0 },
+    fromTick: 0,
+    lastMoveTick: 0,
+    // Последний тик, до которого бита уже ударила шайбу с перемоткой
+    rewindHitTick: -1,
+    // Положение биты в конце прошлого тика: за тик бита проходит отрезок
+    // от него до текущего положения
+    stepPos: null,
+  };
+}
+
+// Создать симуляцию поверх состояния игры матча
+// state - объект gameState (pucks, player1Pos, player2Pos, canvasSize, ...);
+// каждая шайба - тело { id, pos, velocity, lastHitter }
+// physics - параметры из DEFAULT_PHYSICS, которые нужно переопределить
+// powerUps - состояние бонусов из createPowerUps или null, если они выключены
+// arena - форма стола (углы, штанги, глубина ворот); размер стола берется
+// из state.canvasSize
+// tickRate - тиков симуляции в секунду
+function createSimulation(
+  state,
+  {
+    seed = 1,
+    physics = {},
+    powerUps = null,
+    arena = DEFAULT_ARENAS.classic,
+    tickRate = TICK_RATE,
+  } = {}
+) {
+  return {
+    state,
+    seed,
+    tickRate,
+    // Длительность тика (с) и смещение за тик в единицах скорости шайбы
+    tickDt: 1 / tickRate,
+    stepFactor: (1 / tickRate) * FRAME_RATE,
+    // Пределы в тиках для этой частоты
+    maxStepsPerAdvance: Math.max(1, Math.round(MAX_ADVANCE_TIME * tickRate)),
+    malletIdleTicks: Math.max(1, Math.round(MALLET_IDLE_TIME * tickRate)),
+    historyTicks: Math.max(1, Math.round(HISTORY_TIME * tickRate)),
+    physics: { ...DEFAULT_PHYSICS, ...physics },
+    arena,
+    rng: createRng(seed),
+    tick: 0,
+    accumulator: 0,
+    // Буфер последних состояний шайбы для компенсации задержки
+    history: [],
+    mallets: {
+      1: createMalletTracker(),
+      2: createMalletTracker(),
+    },
+    powerUps,
+    // Поправки к физике от действующих эффектов бонусов
+    modifiers: createModifiers(),
+  };
+}
+
+// Радиус биты игрока с учетом эффектов
+function malletRadius(sim, playerNumber) {
+  return sim.physics.playerRadius * sim.modifiers.malletScale[playerNumber];
+}
+
+// Ширина обоих ворот по номеру защищающего игрока с учетом эффектов
+function goalWidths(sim) {
+  const { goalWidth } = sim.physics;
+  const { goalScale } = sim.modifiers;
+  return { 1: goalWidth * goalScale[1], 2: goalWidth * goalScale[2] };
+}
+
+// Поставить шайбы на центральную линию на равных расстояниях, без скорости
+function resetPucks(sim) {
+  const { state } = sim;
+  const { width, height } = state.canvasSize;
+  const count = sim.physics.puckCount;
+
+  state.pucks = Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    pos: { x: (width * (index + 1)) / (count + 1), y: height / 2 },
+    velocity: { x: 0, y: 0 },
+    // Игрок, последним ударивший по шайбе
+    lastHitter: null,
+  }));
+}
+
+// Точный сброс позиций шайб и игроков
+function resetSimulation(sim) {
+  const { state } = sim;
+  const { width, height } = state.canvasSize;
+
+  if (!width || !height) return false;
+
+  resetPucks(sim);
+
+  // Игрок 1 в нижнем центре, игрок 2 в верхнем центре
+  state.player1Pos = { x: width / 2, y: height * 0.75 };
+  state.player2Pos = { x: width / 2, y: height * 0.25 };
+
+  sim.accumulator = 0;
+  sim.history = [];
+  sim.mallets = {
+    1: createMalletTracker(),
+    2: createMalletTracker(),
+  };
+
+  return true;
+}
+
+// Ограничения позиции игрока своей половиной поля без округления
+function enforcePlayerConstraints(
+  canvasSize,
+  playerNumber,
+  position,
+  playerRadius = DEFAULT_PHYSICS.playerRadius
+) {
+  // Убедиться, что размеры холста действительны
+  if (!canvasSize || !canvasSize.width || !canvasSize.height) {
+    return position;
+  }
+
+  const newX = Math.max(
+    playerRadius,
+    Math.min(position.x, canvasSize.width - playerRadius)
+  );
+
+  let newY;
+  if (playerNumber === 1) {
+    // Игрок 1 ограничен нижней половиной
+    newY = Math.max(
+      canvasSize.height / 2 + playerRadius,
+      Math.min(position.y, canvasSize.height - playerRadius)
+    );
+  } else {
+    // Игрок 2 ограничен верхней половиной
+    newY = Math.min(
+      canvasSize.height / 2 - playerRadius,
+      Math.max(position.y, playerRadius)
+    );
+  }
+
+  return { x: newX, y: newY };
+}
+
+// Установить позицию биты игрока (вход симуляции)
+// Скорость биты считается по тикам, а не по системному времени
+// Замороженная бонусом бита не двигается
+function setMalletPosition(sim, playerNumber, position) {
+  const mallet = sim.mallets[playerNumber];
+  const key = `player${playerNumber}Pos`;
+
+  if (sim.modifiers.frozen[playerNumber]) return;
+
+  // Первое движение в текущем тике: запомнить, откуда бита начала движение
+  if (mallet.lastMoveTick !== sim.tick) {
+    mallet.fromPos = { ...sim.state[key] };
+    mallet.fromTick = mallet.lastMoveTick;
+    mallet.lastMoveTick = sim.tick;
+  }
+
+  const dt = Math.max(1, sim.tick - mallet.fromTick) * sim.tickDt;
+  mallet.velocity = {
+    x: (position.x - mallet.fromPos.x) / dt,
+    y: (position.y - mallet.fromPos.y) / dt,
+  };
+
+  sim.state[key] = { x: position.x, y: position.y };
+}
+
+// Проверка столкновения шайбы с игроком
+function checkPuckPlayerCollision(
+  physics,
+  puckPos,
+  playerPos,
+  playerRadius = physics.playerRadius
+) {
+  const dx = puckPos.x - playerPos.x;
+  const dy = puckPos.y - playerPos.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+
+  return distance < physics.puckRadius + playerRadius;
+}
+
+// Ограничить скорость шайбы максимальным значением
+function clampPuckSpeed(puck, maxSpeed) {
+  const speed = Math.sqrt(
+    puck.velocity.x * puck.velocity.x + puck.velocity.y * puck.velocity.y
+  );
+
+  if (speed > maxSpeed) {
+    const scaleFactor = maxSpeed / speed;
+    puck.velocity.x *= scaleFactor;
+    puck.velocity.y *= scaleFactor;
+  }
+}
+
+// Обработка столкновения шайбы с битой игрока
+// malletPos - положение биты в момент удара (по умолчанию текущее)
+// Отскок считается по относительной скорости шайбы и биты: неподвижная бита
+// отражает шайбу, а быстрая бита разгоняет ее вдоль линии удара
+function handlePlayerCollision(
+  sim,
+  puck,
+  playerNumber,
+  malletPos = sim.state[`player${playerNumber}Pos`]
+) {
+  const { physics } = sim;
+  const puckPos = puck.pos;
+
+  // Вектор от игрока к шайбе
+  const dx = puckPos.x - malletPos.x;
+  const dy = puckPos.y - malletPos.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+
+  // Предотвратить деление на ноль
+  if (distance === 0) return false;
+
+  // Нормализованный вектор
+  const nx = dx / distance;
+  const ny = dy / distance;
+
+  // Отодвинуть шайбу от игрока (избежать застревания)
+  const contactDistance =
+    malletRadius(sim, playerNumber) + physics.puckRadius + 1;
+  puck.pos.x = malletPos.x + nx * contactDistance;
+  puck.pos.y = malletPos.y + ny * contactDistance;
+
+  // Скорость биты в единицах скорости шайбы (пиксели за кадр 60 FPS)
+  const malletVelocity = sim.mallets[playerNumber].velocity;
+  const malletVx = malletVelocity.x / FRAME_RATE;
+  const malletVy = malletVelocity.y / FRAME_RATE;
+
+  // Относительная скорость вдоль линии удара: меньше нуля - тела сближаются
+  const approach =
+    (puck.velocity.x - malletVx) * nx + (puck.velocity.y - malletVy) * ny;
+  if (approach < 0) {
+    puck.velocity.x -= (1 + MALLET_RESTITUTION) * approach * nx;
+    puck.velocity.y -= (1 + MALLET_RESTITUTION) * approach * ny;
+  }
+
+  // Шайба всегда отлетает от биты не медленнее базовой скорости удара
+  const separation = puck.velocity.x * nx + puck.velocity.y * ny;
+  if (separation < BASE_HIT_VELOCITY) {
+    puck.velocity.x += (BASE_HIT_VELOCITY - separation) * nx;
+    puck.velocity.y += (BASE_HIT_VELOCITY - separation) * ny;
+  }
+
+  // Небольшая детерминированная случайность отскока (±5%)
+  const randomFactor = 1 + (nextRandom(sim.rng) * 0.1 - 0.05);
+  puck.velocity.x *= randomFactor;
+  puck.velocity.y *= randomFactor;
+
+  clampPuckSpeed(puck, physics.maxSpeed * sim.modifiers.speedScale);
+  puck.lastHitter = playerNumber;
+
+  return true;
+}
+
+// Время касания двух движущихся окружностей в долях тика
+// offset - вектор от центра второй окружности к первой, motion - смещение
+// первой относительно второй за весь тик, distance - сумма радиусов
+// Возвращает время от 0 до limit или null, если касания нет
+function timeOfImpact(offset, motion, distance, limit) {
+  // |offset + motion * t| = distance: a*t^2 + 2*b*t + c = 0
+  const b = offset.x * motion.x + offset.y * motion.y;
+  const c = offset.x * offset.x + offset.y * offset.y - distance * distance;
+
+  // Окружности уже пересекаются: удар сейчас, если они сближаются
+  if (c <= 0) return b < 0 ? 0 : null;
+
+  const a = motion.x * motion.x + motion.y * motion.y;
+  if (a === 0 || b >= 0) return null;
+
+  const discriminant = b * b - a * c;
+  if (discriminant < 0) return null;
+
+  const time = (-b - Math.sqrt(discriminant)) / a;
+  return time <= limit ? time : null;
+}
+
+// Время, за которое координата value при смещении motion за тик
+// дойдет до границы bound; null, если не дойдет за limit
+function timeToBound(value, motion, bound, limit) {
+  const time = Math.max(0, (bound - value) / motion);
+  return time <= limit ? time : null;
+}
+
+// Время касания дуги угла изнутри: центр шайбы выходит за окружность
+// center/radius, находясь в четверти quadrant за центром дуги
+function timeToArc(pos, motion, arc, limit) {
+  const at = time => ({
+    x: pos.x + motion.x * time,
+    y: pos.y + motion.y * time,
+  });
+  const inQuadrant = point =>
+    (point.x - arc.center.x) * arc.quadrant.x >= 0 &&
+    (point.y - arc.center.y) * arc.quadrant.y >= 0;
+  // Больше нуля - точка point за дугой
+  const beyond = point => {
+    const dx = point.x - arc.center.x;
+    const dy = point.y - arc.center.y;
+    return dx * dx + dy * dy - arc.radius * arc.radius;
+  };
+  // Больше нуля - шайба в точке point удаляется от центра дуги
+  const outward = point =>
+    (point.x - arc.center.x) * motion.x + (point.y - arc.center.y) * motion.y;
+  const times = [];
+
+  // Центр шайбы выходит за окружность внутри четверти
+  const a = motion.x * motion.x + motion.y * motion.y;
+  const b = outward(pos);
+  const discriminant = b * b - a * beyond(pos);
+  if (a > 0 && discriminant >= 0) {
+    const time = (-b + Math.sqrt(discriminant)) / a;
+    if (time >= 0 && time <= limit && inQuadrant(at(time))) times.push(time);
+  }
+
+  // Шайба, скользящая вдоль борта, входит в четверть уже за дугой
+  let entry = 0;
+  for (const axis of ["x", "y"]) {
+    const offset = (pos[axis] - arc.center[axis]) * arc.quadrant[axis];
+    if (offset >= 0) continue;
+    const speed = motion[axis] * arc.quadrant[axis];
+    entry = speed > 0 ? Math.max(entry, -offset / speed) : Infinity;
+  }
+  if (entry <= limit) {
+    const point = at(entry);
+    if (beyond(point) >= 0 && outward(point) > 0) times.push(entry);
+  }
+
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+// Отскок от горизонтальной стены с сохранением минимальной скорости
+function bounceY(puck, y) {
+  puck.pos.y = y;
+  puck.velocity.y = -puck.velocity.y * BOARD_RESTITUTION;
+
+  if (Math.abs(puck.velocity.y) < 2) {
+    puck.velocity.y = Math.sign(puck.velocity.y) * 2;
+  }
+}
+
+// Отскок от вертикальной стены с сохранением минимальной скорости
+function bounceX(puck, x) {
+  puck.pos.x = x;
+  puck.velocity.x = -puck.velocity.x * BOARD_RESTITUTION;
+
+  if (Math.abs(puck.velocity.x) < 2) {
+    puck.velocity.x = Math.sign(puck.velocity.x) * 2;
+  }
+}
+
+// Отскок от дуги угла или штанги: шайба ставится на расстояние distance
+// от центра center, нормальная составляющая скорости отражается
+// inward - нормаль направлена к центру (дуга изнутри), иначе от центра
+function bounceCurve(puck, center, distance, inward) {
+  const dx = puck.pos.x - center.x;
+  const dy = puck.pos.y - center.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  if (length === 0) return;
+
+  puck.pos.x = center.x + (dx / length) * distance;
+  puck.pos.y = center.y + (dy / length) * distance;
+
+  const sign = inward ? -1 : 1;
+  const nx = (dx / length) * sign;
+  const ny = (dy / length) * sign;
+  const approach = puck.velocity.x * nx + puck.velocity.y * ny;
+  if (approach < 0) {
+    puck.velocity.x -= (1 + BOARD_RESTITUTION) * approach * nx;
+    puck.velocity.y -= (1 + BOARD_RESTITUTION) * approach * ny;
+  }
+}
+
+// Столкновения шайб друг с другом: упругий удар шайб равной массы
+function resolvePuckCollisions(sim) {
+  const { pucks } = sim.state;
+  const minDistance = sim.physics.puckRadius * 2;
+  const events = [];
+
+  for (let i = 0; i < pucks.length; i++) {
+    for (let j = i + 1; j < pucks.length; j++) {
+      const a = pucks[i];
+      const b = pucks[j];
+      const dx = b.pos.x - a.pos.x;
+      const dy = b.pos.y - a.pos.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance >= minDistance) continue;
+
+      // Совпавшие центры разводятся по вертикали
+      const nx = distance === 0 ? 0 : dx / distance;
+      const ny = distance === 0 ? 1 : dy / distance;
+
+      // Раздвинуть шайбы поровну до касания
+      const overlap = (minDistance - distance) / 2;
+      a.pos.x -= nx * overlap;
+      a.pos.y -= ny * overlap;
+      b.pos.x += nx * overlap;
+      b.pos.y += ny * overlap;
+
+      // Сближающиеся шайбы обмениваются нормальными составляющими скорости
+      const approach =
+        (a.velocity.x - b.velocity.x) * nx + (a.velocity.y - b.velocity.y) * ny;
+      if (approach > 0) {
+        const impulse = (approach * (1 + PUCK_RESTITUTION)) / 2;
+        a.velocity.x -= impulse * nx;
+        a.velocity.y -= impulse * ny;
+        b.velocity.x += impulse * nx;
+        b.velocity.y += impulse * ny;
+      }
+
+      events.push({
+        type: "collision",
+        target: "puck",
+        puckId: a.id,
+        otherPuckId: b.id,
+      });
+    }
+  }
+
+  return events;
+}
+
+// Обновить скорости бит: без новых движений бита останавливается
+function updateMallets(sim) {
+  for (const playerNumber of [1, 2]) {
+    const mallet = sim.mallets[playerNumber];
+    if (sim.tick - mallet.lastMoveTick > sim.malletIdleTicks) {
+      mallet.velocity = { x: 0, y: 0 };
+    }
+  }
+}
+
+// Сохранить состояние шайб текущего тика в буфер перемотки
+function recordHistory(sim) {
+  sim.history.push({
+    tick: sim.tick,
+    pucks: sim.state.pucks.map(puck => ({
+      id: puck.id,
+      pos: { ...puck.pos },
+      velocity: { ...puck.velocity },
+    })),
+  });
+
+  if (sim.history.length > sim.historyTicks) {
+    sim.history.shift();
+  }
+}
+
+// Скорость расхождения шайбы и биты вдоль линии их центров за тик
+// stepFactor - смещение за тик в единицах скорости шайбы
+function separatingMotion(puck, malletPos, malletMotion, stepFactor) {
+  const dx = puck.pos.x - malletPos.x;
+  const dy = puck.pos.y - malletPos.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  if (distance === 0) return 0;
+
+  return (
+    ((puck.velocity.x * stepFactor - malletMotion.x) * dx +
+      (puck.velocity.y * stepFactor - malletMotion.y) * dy) /
+    distance
+  );
+}
+
+// Вернуть шайбу, которую бита вдавила в борт, на стол
+function keepOnTable(sim, puck) {
+  puck.pos = keepInside(
+    sim.state.canvasSize,
+    sim.arena,
+    sim.physics.puckRadius,
+    goalWidths(sim),
+    puck.pos
+  );
+}
+
+// Время касания препятствия стола из tableObstacles или null
+function timeToObstacle(pos, motion, obstacle, limit) {
+  if (obstacle.kind === "arc") return timeToArc(pos, motion, obstacle, limit);
+  if (obstacle.kind === "post") {
+    return timeOfImpact(
+      { x: pos.x - obstacle.center.x, y: pos.y - obstacle.center.y },
+      motion,
+      obstacle.radius,
+      limit
+    );
+  }
+
+  // Отрезок: шайба движется в его сторону и касается его в пределах from..to
+  const other = obstacle.axis === "x" ? "y" : "x";
+  if (Math.sign(motion[obstacle.axis]) !== obstacle.side) return null;
+  const time = timeToBound(
+    pos[obstacle.axis],
+    motion[obstacle.axis],
+    obstacle.bound,
+    limit
+  );
+  if (time === null) return null;
+  const along = pos[other] + motion[other] * time;
+  return along >= obstacle.from && along <= obstacle.to ? time : null;
+}
+
+// Ближайшее столкновение шайбы за оставшуюся часть тика
+// elapsed - прошедшая доля тика, motion - смещение шайбы за весь тик
+// obstacles - препятствия стола из tableObstacles
+// Возвращает { time, ... } с описанием препятствия или null
+function nextImpact(sim, puck, mallets, obstacles, elapsed, motion) {
+  const { puckRadius } = sim.physics;
+  const limit = 1 - elapsed;
+  const candidates = [];
+
+  // Биты: движущаяся окружность против движущейся окружности
+  for (const mallet of mallets) {
+    const malletPos = {
+      x: mallet.from.x + mallet.motion.x * elapsed,
+      y: mallet.from.y + mallet.motion.y * elapsed,
+    };
+    const time = timeOfImpact(
+      { x: puck.pos.x - malletPos.x, y: puck.pos.y - malletPos.y },
+      { x: motion.x - mallet.motion.x, y: motion.y - mallet.motion.y },
+      puckRadius + mallet.radius,
+      limit
+    );
+    if (time !== null) {
+      candidates.push({ time, type: "mallet", mallet });
+    }
+  }
+
+  // Борта, углы, штанги и линии ворот
+  for (const obstacle of obstacles) {
+    const time = timeToObstacle(puck.pos, motion, obstacle, limit);
+    if (time !== null) candidates.push({ time, type: "table", obstacle });
+  }
+
+  // При равном времени сначала бита: она идет первой в списке
+  return candidates.reduce(
+    (first, impact) => (!first || impact.time < first.time ? impact : first),
+    null
+  );
+}
+
+// Движение одной шайбы за тик со всеми столкновениями, кроме других шайб
+// Столкновения ищутся непрерывно: шайба и биты движутся по отрезкам за тик,
+// находится точное время первого касания, после отскока поиск продолжается
+// на остатке тика. Так быстрая шайба не проскакивает сквозь биту или ворота.
+// sweepMallets - биты движутся от положения в конце прошлого тика к текущему;
+// при перемотке биты неподвижны
+// Возвращает список событий: { type: "collision", target, puckId }
+// и { type: "goal", scorer, puckId }
+function stepPuck(sim, puck, sweepMallets = true) {
+  const { state, physics } = sim;
+  const puckId = puck.id;
+  const events = [];
+
+  // Применить трение и сопротивление воздуха за время тика
+  const dampingFactor =
+    Math.pow(physics.friction, sim.tickDt) *
+    Math.pow(AIR_RESISTANCE, sim.tickDt);
+  puck.velocity.x *= dampingFactor;
+  puck.velocity.y *= dampingFactor;
+
+  // Остановить очень медленное движение
+  const currentSpeed = Math.sqrt(
+    puck.velocity.x * puck.velocity.x + puck.velocity.y * puck.velocity.y
+  );
+  if (currentSpeed < MIN_VELOCITY) {
+    puck.velocity.x = 0;
+    puck.velocity.y = 0;
+  }
+
+  const mallets = [1, 2].map(playerNumber => {
+    const to = state[`player${playerNumber}Pos`];
+    const from = (sweepMallets && sim.mallets[playerNumber].stepPos) || to;
+    return {
+      playerNumber,
+      from,
+      motion: { x: to.x - from.x, y: to.y - from.y },
+      radius: malletRadius(sim, playerNumber),
+    };
+  });
+
+  // Ширина ворот может меняться от бонусов: препятствия собираются каждый тик
+  const obstacles = tableObstacles(
+    state.canvasSize,
+    sim.arena,
+    physics.puckRadius,
+    goalWidths(sim)
+  );
+
+  let elapsed = 0;
+  let collisions = 0;
+  while (elapsed < 1) {
+    const motion = {
+      x: puck.velocity.x * sim.stepFactor,
+      y: puck.velocity.y * sim.stepFactor,
+    };
+
+    const impact =
+      collisions < MAX_COLLISIONS_PER_STEP &&
+      nextImpact(sim, puck, mallets, obstacles, elapsed, motion);
+    if (!impact) {
+      // Препятствий нет: пройти остаток тика. После предела столкновений
+      // шайба остается в точке последнего касания
+      if (collisions < MAX_COLLISIONS_PER_STEP) {
+        puck.pos.x += motion.x * (1 - elapsed);
+        puck.pos.y += motion.y * (1 - elapsed);
+      }
+      break;
+    }
+
+    // Довести шайбу до момента касания
+    puck.pos.x += motion.x * impact.time;
+    puck.pos.y += motion.y * impact.time;
+    elapsed += impact.time;
+    collisions++;
+
+    if (impact.type === "mallet") {
+      const { mallet } = impact;
+      const malletPos = {
+        x: mallet.from.x + mallet.motion.x * elapsed,
+        y: mallet.from.y + mallet.motion.y * elapsed,
+      };
+      if (handlePlayerCollision(sim, puck, mallet.playerNumber, malletPos)) {
+        events.push({
+          type: "collision",
+          target: `player${mallet.playerNumber}`,
+          puckId,
+        });
+      }
+
+      // Бита быстрее шайбы после удара (шайба уперлась в предел скорости):
+      // до конца тика бита толкает шайбу перед собой, а не проходит сквозь нее
+      if (
+        separatingMotion(puck, malletPos, mallet.motion, sim.stepFactor) <= 0
+      ) {
+        puck.pos.x += mallet.motion.x * (1 - elapsed);
+        puck.pos.y += mallet.motion.y * (1 - elapsed);
+        keepOnTable(sim, puck);
+        break;
+      }
+    } else {
+      const { obstacle } = impact;
+      // Шайба целиком пересекла линию ворот
+      if (obstacle.target === "goal") {
+        events.push({ type: "goal", scorer: 3 - obstacle.defender, puckId });
+        return events;
+      }
+
+      if (obstacle.kind === "arc") {
+        bounceCurve(puck, obstacle.center, obstacle.radius, true);
+      } else if (obstacle.kind === "post") {
+        bounceCurve(puck, obstacle.center, obstacle.radius, false);
+      } else if (obstacle.axis === "x") {
+        bounceX(puck, obstacle.bound);
+      } else {
+        bounceY(puck, obstacle.bound);
+      }
+      events.push({ type: "collision", target: obstacle.target, puckId });
+    }
+  }
+
+  // Ограничить скорость после столкновений
+  if (events.length > 0) {
+    clampPuckSpeed(puck, physics.maxSpeed * sim.modifiers.speedScale);
+  }
+
+  return events;
+}
+
+function isGoal(event) {
+  return event.type === "goal";
+}
+
+// Движение всех шайб за тик, их столкновения друг с другом и бонусы
+function stepPucks(sim) {
+  const events = [];
+
+  for (const puck of sim.state.pucks) {
+    const puckEvents = stepPuck(sim, puck);
+    events.push(...puckEvents);
+    // После гола все шайбы ждут сброса
+    if (puckEvents.some(isGoal)) return events;
+  }
+
+  events.push(...resolvePuckCollisions(sim));
+  // Бонусы живут только во время игры
+  if (sim.powerUps) {
+    events.push(...stepPowerUps(sim));
+  }
+
+  return events;
+}
+
+// Один фиксированный шаг симуляции
+function stepSimulation(sim) {
+  const { state } = sim;
+
+  sim.tick++;
+  updateMallets(sim);
+
+  // Пропустить физику, если игра не в процессе
+  const events = state.isPlaying && !state.gameOver ? stepPucks(sim) : [];
+
+  for (const playerNumber of [1, 2]) {
+    sim.mallets[playerNumber].stepPos = {
+      ...state[`player${playerNumber}Pos`],
+    };
+  }
+  recordHistory(sim);
+  return events;
+}
+
+// Проверить удар битой по шайбе в прошлом состоянии, которое видел игрок,
+// и досчитать результат удара до текущего тика
+// Возвращает список событий или null, если удара не было
+function rewindMalletHit(sim, playerNumber, rewindTicks) {
+  const { state, history } = sim;
+  const mallet = sim.mallets[playerNumber];
+  const malletPos = state[`player${playerNumber}Pos`];
+
+  if (!state.isPlaying || state.gameOver) return null;
+  if (rewindTicks <= 0 || history.length === 0) return null;
+
+  // Столкновение в настоящем обработает обычный тик
+  const radius = malletRadius(sim, playerNumber);
+  const touches = puck =>
+    checkPuckPlayerCollision(sim.physics, puck.pos, malletPos, radius);
+  if (state.pucks.some(touches)) return null;
+
+  // Перемотка не глубже буфера
+  const targetTick = Math.max(sim.tick - rewindTicks, history[0].tick);
+  const index = history.findIndex(entry => entry.tick === targetTick);
+  if (index === -1) return null;
+
+  const past = history[index];
+  if (past.tick <= mallet.rewindHitTick) return null;
+  const pastPuck = past.pucks.find(touches);
+  const puck = pastPuck && state.pucks.find(p => p.id === pastPuck.id);
+  if (!puck) return null;
+
+  // Вернуть шайбу туда, где ее видел игрок, и применить удар
+  puck.pos = { ...pastPuck.pos };
+  puck.velocity = { ...pastPuck.velocity };
+  if (!handlePlayerCollision(sim, puck, playerNumber)) return null;
+
+  // Прошлые состояния больше не годятся для повторного удара этой битой
+  mallet.rewindHitTick = sim.tick;
+
+  const events = [
+    { type: "collision", target: `player${playerNumber}`, puckId: puck.id },
+  ];
+
+  // Досчитать шайбу до настоящего, переписывая буфер ее новой траекторией;
+  // столкновения с другими шайбами учтет следующий обычный тик
+  for (const later of history.slice(index + 1)) {
+    const stepEvents = stepPuck(sim, puck, false);
+    events.push(...stepEvents);
+
+    const entry = later.pucks.find(p => p.id === puck.id);
+    if (entry) {
+      entry.pos = { ...puck.pos };
+      entry.velocity = { ...puck.velocity };
+    }
+
+    if (stepEvents.some(isGoal)) break;
+  }
+
+  return events;
+}
+
+// Продвинуть симуляцию на прошедшее реальное время фиксированными шагами
+// Остаток времени копится в аккумуляторе до следующего вызова
+function advanceSimulation(sim, elapsedMs) {
+  sim.accumulator = Math.min(
+    sim.accumulator + Math.max(0, elapsedMs) / 1000,
+    sim.maxStepsPerAdvance * sim.tickDt
+  );
+
+  const events = [];
+  let steps = 0;
+
+  while (sim.accumulator >= sim.tickDt) {
+    sim.accumulator -= sim.tickDt;
+    steps++;
+
+    const stepEvents = stepSimulation(sim);
+    events.push(...stepEvents);
+
+    // После гола шайба ждет сброса, дальнейшие шаги не нужны
+    if (stepEvents.some(isGoal)) {
+      sim.accumulator = 0;
+      break;
+    }
+  }
+
+  return { steps, events };
+}
+
+module.exports = {
+  DEFAULT_PHYSICS,
+  MAX_PUCKS,
+  TICK_RATE,
+  TICK_DT,
+  createSimulation,
+  resetPucks,
+  resetSimulation,
+  enforcePlayerConstraints,
+  setMalletPosition,
+  malletRadius,
+  checkPuckPlayerCollision,
+  stepSimulation,
+  rewindMalletHit,
+  advanceSimulation,
+};
@@ -0,0 +1,201 @@
+// lib/snapshot.js - Компактный бинарный формат снимков состояния игры
+// Снимок кодируется в Buffer (ArrayBuffer на клиенте), все числа big-endian:
+//   u8  флаги: 0x01 - дельта относительно подтвержденного снимка, 0x02 - столкновение
+//   u32 номер снимка
+//   u32 номер базового снимка (только для дельты)
+//   u32 время сервера в мс от timeBase
+//   u32 маска измененных полей (бит i - поле FIELDS[i])
+//   i16 значения полей из маски, квантованные с масштабом поля
+
+const { MAX_PUCKS } = require("./simulation");
+
+const SNAPSHOT_VERSION = 3;
+const FLAG_DELTA = 0x01;
+const FLAG_COLLISION = 0x02;
+// Сколько неподтвержденных снимков хранить на клиента
+const MAX_PENDING_SNAPSHOTS = 32;
+// Начало отсчета времени в снимках
+const TIME_BASE = Date.now();
+
+// Поля шайбы с номером id; шайбы, которых нет на столе, читаются как нули
+function puckFields(id) {
+  const puck = state => state.pucks.find(p => p.id === id);
+  const read = (key, axis) => state => {
+    const body = puck(state);
+    return body ? body[key][axis] : 0;
+  };
+
+  return [
+    { name: `puck${id}X`, scale: 30000, read: read("pos", "x") },
+    { name: `puck${id}Y`, scale: 30000, read: read("pos", "y") },
+    { name: `puck${id}VelocityX`, scale: 100000, read: read("velocity", "x") },
+    { name: `puck${id}VelocityY`, scale: 100000, read: read("velocity", "y") },
+  ];
+}
+
+// Поля снимка в нормализованных координатах стола (доли от 0 до 1):
+// позиции с точностью 1/30000, скорость шайбы с точностью 1/100000
+// Для каждой возможной шайбы отведены свои поля: в дельту попадают
+// только шайбы, которые двигались
+const FIELDS = [
+  ...Array.from({ length: MAX_PUCKS }, (_, index) =>
+    puckFields(index + 1)
+  ).flat(),
+  { name: "player1X", scale: 30000, read: state => state.player1Pos.x },
+  { name: "player1Y", scale: 30000, read: state => state.player1Pos.y },
+  { name: "player2X", scale: 30000, read: state => state.player2Pos.x },
+  { name: "player2Y", scale: 30000, read: state => state.player2Pos.y },
+  { name: "player1Score", scale: 1, read: state => state.player1Score },
+  { name: "player2Score", scale: 1, read: state => state.player2Score },
+];
+
+// Квантовать значение в диапазон int16
+function quantizeField(field, value) {
+  const quantized = Math.round((value || 0) * field.scale);
+  return Math.max(-32768, Math.min(32767, quantized));
+}
+
+// Зафиксировать квантованный снимок нормализованного состояния (normalizeState)
+function captureSnapshot(gameState, seq, now, collision = false) {
+  return {
+    seq,
+    time: (now - TIME_BASE) >>> 0,
+    collision,
+    values: FIELDS.map(field => quantizeField(field, field.read(gameState))),
+  };
+}
+
+// Закодировать снимок; при наличии базы записываются только изменившиеся поля
+function encodeSnapshot(snapshot, base = null) {
+  let mask = 0;
+  snapshot.values.forEach((value, index) => {
+    if (!base || base.values[index] !== value) {
+      mask |= 1 << index;
+    }
+  });
+
+  const changed = snapshot.values.filter((value, index) => mask & (1 << index));
+  const headerSize = base ? 17 : 13;
+  const buffer = Buffer.alloc(headerSize + changed.length * 2);
+
+  let offset = 0;
+  let flags = base ? FLAG_DELTA : 0;
+  if (snapshot.collision) flags |= FLAG_COLLISION;
+
+  offset = buffer.writeUInt8(flags, offset);
+  offset = buffer.writeUInt32BE(snapshot.seq, offset);
+  if (base) {
+    offset = buffer.writeUInt32BE(base.seq, offset);
+  }
+  offset = buffer.writeUInt32BE(snapshot.time, offset);
+  offset = buffer.writeUInt32BE(mask >>> 0, offset);
+  for (const value of changed) {
+    offset = buffer.writeInt16BE(value, offset);
+  }
+
+  return buffer;
+}
+
+// Раскодировать снимок (эталон для клиентов); base нужен для дельты
+function decodeSnapshot(buffer, base = null) {
+  let offset = 0;
+  const flags = buffer.readUInt8(offset);
+  offset += 1;
+  const seq = buffer.readUInt32BE(offset);
+  offset += 4;
+
+  let baseSeq = null;
+  if (flags & FLAG_DELTA) {
+    baseSeq = buffer.readUInt32BE(offset);
+    offset += 4;
+    if (!base || base.seq !== baseSeq) {
+      throw new Error(`Нет базового снимка ${baseSeq}`);
+    }
+  }
+
+  const time = buffer.readUInt32BE(offset);
+  offset += 4;
+  const mask = buffer.readUInt32BE(offset);
+  offset += 4;
+
+  const values = FIELDS.map((field, index) => {
+    if (mask & (1 << index)) {
+      const value = buffer.readInt16BE(offset);
+      offset += 2;
+      return value;
+    }
+    return base.values[index];
+  });
+
+  return {
+    seq,
+    baseSeq,
+    time,
+    collision: Boolean(flags & FLAG_COLLISION),
+    values,
+  };
+}
+
+// Перевести квантованный снимок обратно в координаты
+function snapshotToState(snapshot) {
+  const result = {};
+  FIELDS.forEach((field, index) => {
+    result[field.name] = snapshot.values[index] / field.scale;
+  });
+  return result;
+}
+
+// Состояние доставки снимков одному клиенту
+function createSnapshotChannel() {
+  return {
+    acked: null,
+    pending: new Map(),
+  };
+}
+
+// Запомнить отправленный снимок до подтверждения
+function trackSnapshot(channel, snapshot) {
+  channel.pending.set(snapshot.seq, snapshot);
+
+  if (channel.pending.size > MAX_PENDING_SNAPSHOTS) {
+    const oldestSeq = channel.pending.keys().next().value;
+    channel.pending.delete(oldestSeq);
+  }
+}
+
+// Клиент подтвердил получение снимка: он становится базой для дельт
+function ackSnapshot(channel, seq) {
+  const snapshot = channel.pending.get(seq);
+  if (!snapshot) return false;
+  if (channel.acked && channel.acked.seq >= seq) return false;
+
+  channel.acked = snapshot;
+  for (const pendingSeq of channel.pending.keys()) {
+    if (pendingSeq <= seq) {
+      channel.pending.delete(pendingSeq);
+    }
+  }
+
+  return true;
+}
+
+// Описание формата для клиента при подключении
+function describeProtocol() {
+  return {
+    protocol: "binary",
+    version: SNAPSHOT_VERSION,
+    timeBase: TIME_BASE,
+    fields: FIELDS.map(({ name, scale }) => ({ name, scale })),
+  };
+}
+
+module.exports = {
+  captureSnapshot,
+  encodeSnapshot,
+  decodeSnapshot,
+  snapshotToState,
+  createSnapshotChannel,
+  trackSnapshot,
+  ackSnapshot,
+  describeProtocol,
+};
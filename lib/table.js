@@ -0,0 +1,101 @@
+// lib/table.js - Логический стол и пересчет координат для клиентов
+// Сервер моделирует игру на столе фиксированного размера, а по сети передает
+// нормализованные координаты (доли ширины и высоты стола от 0 до 1).
+// Каждый клиент сам переводит их в пиксели своего экрана.
+const { DEFAULT_ARENAS } = require("./arena");
+
+// Единицы стола совпадают с пикселями эталонного холста,
+// под который настроены параметры физики (радиусы, скорости, ворота);
+// это размер классической арены, у других арен стол свой
+const TABLE_SIZE = {
+  width: DEFAULT_ARENAS.classic.width,
+  height: DEFAULT_ARENAS.classic.height,
+};
+// Допустимый размер экрана клиента в пикселях
+const MAX_VIEWPORT_SIZE = 10000;
+
+function isVector(value) {
+  return (
+    Boolean(value) && typeof value.x === "number" && typeof value.y === "number"
+  );
+}
+
+// Логические координаты -> нормализованные
+function normalizePoint(point, table = TABLE_SIZE) {
+  return { x: point.x / table.width, y: point.y / table.height };
+}
+
+// Нормализованные координаты -> логические; некорректный ввод дает null
+function denormalizePoint(point, table = TABLE_SIZE) {
+  if (!isVector(point)) return null;
+  return { x: point.x * table.width, y: point.y * table.height };
+}
+
+// Шайба с нормализованными позицией и скоростью
+// Скорость нормализуется так же, как позиция: доля стола за кадр 60 FPS
+function normalizePuck(puck, table = TABLE_SIZE) {
+  return {
+    id: puck.id,
+    pos: normalizePoint(puck.pos, table),
+    velocity: normalizePoint(puck.velocity, table),
+    lastHitter: puck.lastHitter,
+  };
+}
+
+// Копия состояния игры с нормализованными позициями и скоростями для отправки
+function normalizeState(gameState, table = gameState.canvasSize) {
+  return {
+    ...gameState,
+    pucks: gameState.pucks.map(puck => normalizePuck(puck, table)),
+    player1Pos: normalizePoint(gameState.player1Pos, table),
+    player2Pos: normalizePoint(gameState.player2Pos, table),
+  };
+}
+
+// Вписать стол в экран клиента с сохранением пропорций
+// Возвращает область отрисовки или null для некорректного размера экрана
+function fitViewport(viewport, table = TABLE_SIZE) {
+  if (!viewport) return null;
+
+  const { width, height } = viewport;
+  const validSize = value =>
+    typeof value === "number" && value > 0 && value <= MAX_VIEWPORT_SIZE;
+  if (!validSize(width) || !validSize(height)) return null;
+
+  // Стол занимает максимум экрана, остаток уходит на поля по краям
+  const scale = Math.min(width / table.width, height / table.height);
+  const renderWidth = table.width * scale;
+  const renderHeight = table.height * scale;
+
+  return {
+    viewport: { width, height },
+    scale,
+    width: renderWidth,
+    height: renderHeight,
+    offsetX: (width - renderWidth) / 2,
+    offsetY: (height - renderHeight) / 2,
+  };
+}
+
+// Описание стола для клиента: размер и форма арены в единицах стола
+function describeTable(table = TABLE_SIZE, arena = DEFAULT_ARENAS.classic) {
+  return {
+    width: table.width,
+    height: table.height,
+    aspectRatio: table.width / table.height,
+    coordinates: "normalized",
+    cornerRadius: arena.cornerRadius,
+    postRadius: arena.postRadius,
+    goalDepth: arena.goalDepth,
+  };
+}
+
+module.exports = {
+  TABLE_SIZE,
+  normalizePoint,
+  denormalizePoint,
+  normalizePuck,
+  normalizeState,
+  fitViewport,
+  describeTable,
+};
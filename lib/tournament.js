@@ -0,0 +1,397 @@
+// lib/tournament.js - Турниры: регистрация, посев и сетки
+// Поддерживаются олимпийская система (single elimination) и круговой турнир
+// (round robin). Модуль только ведет сетку: игровые матчи для готовых встреч
+// создает сервер, а результаты передает через recordMatchResult.
+const { v4: uuidv4 } = require("uuid");
+
+const TOURNAMENT_FORMATS = ["singleElimination", "roundRobin"];
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 64;
+const MAX_NAME_LENGTH = 64;
+
+// Очки кругового турнира за победу и ничью
+const POINTS_FOR_WIN = 3;
+const POINTS_FOR_DRAW = 1;
+
+// Создать турнир; rules - уже проверенные правила матчей
+// Возвращает { tournament } или { error }
+function createTournament(
+  { name, format = "singleElimination", maxPlayers = 16 },
+  rules,
+  now = Date.now()
+) {
+  if (typeof name !== "string" || !name.trim()) {
+    return { error: "Название турнира должно быть непустой строкой" };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Название турнира длиннее ${MAX_NAME_LENGTH} символов` };
+  }
+  if (!TOURNAMENT_FORMATS.includes(format)) {
+    return { error: `Неизвестный формат турнира: ${format}` };
+  }
+  if (
+    !Number.isInteger(maxPlayers) ||
+    maxPlayers < MIN_PLAYERS ||
+    maxPlayers > MAX_PLAYERS
+  ) {
+    return {
+      error: `Число участников должно быть от ${MIN_PLAYERS} до ${MAX_PLAYERS}`,
+    };
+  }
+  // Реванши в турнирных матчах недоступны: встреча - одна игра
+  if (rules.bestOf > 1) {
+    return { error: "Встречи турнира играются одной игрой (bestOf 1)" };
+  }
+
+  return {
+    tournament: {
+      id: uuidv4(),
+      name: name.trim(),
+      format,
+      maxPlayers,
+      rules,
+      // registration -> running -> finished
+      status: "registration",
+      players: [],
+      // Встречи по турам; в круговом турнире играется только текущий тур
+      rounds: [],
+      currentRound: 0,
+      winner: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+    },
+  };
+}
+
+// Зарегистрировать игрока; rating используется для посева
+function registerPlayer(tournament, { playerId, name, rating }) {
+  if (tournament.status !== "registration") {
+    return { error: "Регистрация на турнир закрыта" };
+  }
+  if (tournament.players.some(p => p.playerId === playerId)) {
+    return { error: "Вы уже зарегистрированы" };
+  }
+  if (tournament.players.length >= tournament.maxPlayers) {
+    return { error: "Все места в турнире заняты" };
+  }
+
+  const player = { playerId, name: name || null, rating, seed: null };
+  tournament.players.push(player);
+  return { player };
+}
+
+// Отменить регистрацию до начала турнира
+function unregisterPlayer(tournament, playerId) {
+  if (tournament.status !== "registration") return false;
+
+  const index = tournament.players.findIndex(p => p.playerId === playerId);
+  if (index === -1) return false;
+
+  tournament.players.splice(index, 1);
+  return true;
+}
+
+// Порядок посевов в первом туре олимпийской сетки:
+// сильнейшие посевы встречаются как можно позже (1-8, 4-5, 2-7, 3-6)
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+function createPairing(tournament, round, index, players) {
+  return {
+    // ID игрового матча встречи
+    id: `${tournament.id}-r${round + 1}-m${index + 1}`,
+    round,
+    index,
+    players,
+    // pending - ждет участников или своего тура, ready - можно играть
+    status: "pending",
+    winner: null,
+    // Голы по playerId
+    goals: null,
+    bye: false,
+  };
+}
+
+// Олимпийская сетка: все туры сразу, пустые места заполняют победители
+function buildEliminationRounds(tournament) {
+  const seeded = tournament.players;
+  const size = Math.max(2, 2 ** Math.ceil(Math.log2(seeded.length)));
+  const order = seedOrder(size);
+  const rounds = [];
+
+  for (let matchCount = size / 2, round = 0; matchCount >= 1; round++) {
+    const pairings = [];
+    for (let index = 0; index < matchCount; index++) {
+      const players =
+        round === 0
+          ? [order[index * 2], order[index * 2 + 1]].map(seed =>
+              seed <= seeded.length ? seeded[seed - 1].playerId : null
+            )
+          : [null, null];
+      pairings.push(createPairing(tournament, round, index, players));
+    }
+    rounds.push(pairings);
+    matchCount /= 2;
+  }
+
+  return rounds;
+}
+
+// Круговой турнир по методу вращения: каждый играет с каждым один раз
+function buildRoundRobinRounds(tournament) {
+  const ids = tournament.players.map(p => p.playerId);
+  // При нечетном числе участников один игрок в каждом туре отдыхает
+  if (ids.length % 2 === 1) ids.push(null);
+
+  const rounds = [];
+  for (let round = 0; round < ids.length - 1; round++) {
+    const pairings = [];
+    for (let i = 0; i < ids.length / 2; i++) {
+      const pair = [ids[i], ids[ids.length - 1 - i]];
+      if (pair.includes(null)) continue;
+      pairings.push(createPairing(tournament, round, pairings.length, pair));
+    }
+    rounds.push(pairings);
+
+    // Первый игрок на месте, остальные сдвигаются по кругу
+    ids.splice(1, 0, ids.pop());
+  }
+
+  return rounds;
+}
+
+// Посеять игроков и построить сетку
+// Возвращает { ready } - встречи, которые можно играть, или { error }
+function startTournament(tournament, now = Date.now()) {
+  if (tournament.status !== "registration") {
+    return { error: "Турнир уже начат" };
+  }
+  if (tournament.players.length < MIN_PLAYERS) {
+    return { error: `Нужно не меньше ${MIN_PLAYERS} участников` };
+  }
+
+  // Посев по рейтингу; при равенстве раньше посеян тот, кто раньше записался
+  tournament.players = tournament.players
+    .map((player, order) => ({ player, order }))
+    .sort((a, b) => b.player.rating - a.player.rating || a.order - b.order)
+    .map(({ player }, index) => ({ ...player, seed: index + 1 }));
+
+  tournament.status = "running";
+  tournament.startedAt = now;
+  tournament.currentRound = 0;
+
+  const ready = [];
+  if (tournament.format === "singleElimination") {
+    tournament.rounds = buildEliminationRounds(tournament);
+
+    for (const pairing of tournament.rounds[0]) {
+      const present = pairing.players.filter(Boolean);
+      if (present.length === 2) {
+        pairing.status = "ready";
+        ready.push(pairing);
+      } else {
+        // Свободный проход: игрок без соперника сразу выходит в следующий тур
+        pairing.bye = true;
+        ready.push(...finishPairing(tournament, pairing, present[0], now));
+      }
+    }
+  } else {
+    tournament.rounds = buildRoundRobinRounds(tournament);
+    ready.push(...openRound(tournament, 0));
+  }
+
+  return { ready };
+}
+
+// Открыть тур кругового турнира
+function openRound(tournament, round) {
+  tournament.currentRound = round;
+  const pairings = tournament.rounds[round];
+  pairings.forEach(pairing => {
+    pairing.status = "ready";
+  });
+  return pairings;
+}
+
+function findSeed(tournament, playerId) {
+  const player = tournament.players.find(p => p.playerId === playerId);
+  return player ? player.seed : Infinity;
+}
+
+// Завершить встречу и продвинуть сетку; возвращает новые готовые встречи
+function finishPairing(tournament, pairing, winner, now) {
+  pairing.status = "finished";
+  pairing.winner = winner;
+
+  if (tournament.format === "singleElimination") {
+    const nextRound = tournament.rounds[pairing.round + 1];
+    if (!nextRound) {
+      finishTournament(tournament, winner, now);
+      return [];
+    }
+
+    const next = nextRound[Math.floor(pairing.index / 2)];
+    next.players[pairing.index % 2] = winner;
+    tournament.currentRound = Math.max(
+      tournament.currentRound,
+      pairing.round + 1
+    );
+    if (next.players.every(Boolean)) {
+      next.status = "ready";
+      return [next];
+    }
+    return [];
+  }
+
+  // Круговой турнир: следующий тур начинается, когда сыграны все встречи
+  const round = tournament.rounds[pairing.round];
+  if (!round.every(p => p.status === "finished")) return [];
+
+  if (pairing.round + 1 < tournament.rounds.length) {
+    return openRound(tournament, pairing.round + 1);
+  }
+
+  finishTournament(tournament, getStandings(tournament)[0].playerId, now);
+  return [];
+}
+
+function finishTournament(tournament, winner, now) {
+  tournament.status = "finished";
+  tournament.winner = winner;
+  tournament.finishedAt = now;
+}
+
+// Найти встречу по ID игрового матча
+function findPairing(tournament, matchId) {
+  for (const round of tournament.rounds) {
+    const pairing = round.find(p => p.id === matchId);
+    if (pairing) return pairing;
+  }
+  return null;
+}
+
+// Учесть результат игрового матча встречи
+// winner - playerId победителя или null при ничьей; goals - голы по playerId
+// Возвращает { ready } с новыми готовыми встречами или null
+function recordMatchResult(tournament, matchId, { winner, goals }, now) {
+  const pairing = findPairing(tournament, matchId);
+  if (!pairing || pairing.status !== "ready") return null;
+
+  pairing.goals = goals;
+
+  // На выбывание ничьей быть не может: проходит более высокий посев
+  let advancing = winner;
+  if (!advancing && tournament.format === "singleElimination") {
+    const [first, second] = pairing.players;
+    advancing =
+      findSeed(tournament, first) <= findSeed(tournament, second)
+        ? first
+        : second;
+  }
+
+  return { ready: finishPairing(tournament, pairing, advancing, now) };
+}
+
+// Таблица кругового турнира: очки, разница голов, забитые голы, посев
+function getStandings(tournament) {
+  const rows = new Map(
+    tournament.players.map(player => [
+      player.playerId,
+      {
+        playerId: player.playerId,
+        name: player.name,
+        seed: player.seed,
+        played: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        goalsFor: 0,
+        goalsAgainst: 0,
+        points: 0,
+      },
+    ])
+  );
+
+  for (const round of tournament.rounds) {
+    for (const pairing of round) {
+      if (pairing.status !== "finished" || pairing.bye) continue;
+
+      pairing.players.forEach((playerId, slot) => {
+        const row = rows.get(playerId);
+        const opponent = pairing.players[1 - slot];
+        const goals = pairing.goals || {};
+        row.played++;
+        row.goalsFor += goals[playerId] || 0;
+        row.goalsAgainst += goals[opponent] || 0;
+        if (pairing.winner === playerId) {
+          row.wins++;
+          row.points += POINTS_FOR_WIN;
+        } else if (pairing.winner === null) {
+          row.draws++;
+          row.points += POINTS_FOR_DRAW;
+        } else {
+          row.losses++;
+        }
+      });
+    }
+  }
+
+  return [...rows.values()].sort(
+    (a, b) =>
+      b.points - a.points ||
+      b.goalsFor - b.goalsAgainst - (a.goalsFor - a.goalsAgainst) ||
+      b.goalsFor - a.goalsFor ||
+      a.seed - b.seed
+  );
+}
+
+// Сведения о турнире для клиентов
+function describeTournament(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    maxPlayers: tournament.maxPlayers,
+    rules: tournament.rules,
+    players: tournament.players,
+    currentRound: tournament.currentRound + 1,
+    rounds: tournament.rounds.map(round =>
+      round.map(pairing => ({
+        matchId: pairing.id,
+        players: pairing.players,
+        status: pairing.status,
+        winner: pairing.winner,
+        goals: pairing.goals,
+        bye: pairing.bye,
+      }))
+    ),
+    standings:
+      tournament.format === "roundRobin" && tournament.status !== "registration"
+        ? getStandings(tournament)
+        : null,
+    winner: tournament.winner,
+    createdAt: tournament.createdAt,
+    startedAt: tournament.startedAt,
+    finishedAt: tournament.finishedAt,
+  };
+}
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  createTournament,
+  registerPlayer,
+  unregisterPlayer,
+  startTournament,
+  findPairing,
+  recordMatchResult,
+  getStandings,
+  describeTournament,
+};
@@ -1,9 +1,132 @@
 // server.js - Серверная часть для Air Hockey с оптимизацией плавности
 const express = require("express");
 const http = require("http");
+const cluster = require("cluster");
 const { Server } = require("socket.io");
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
 const cors = require("cors");
+const { v4: uuidv4 } = require("uuid");
+const { randomSeed } = require("./lib/rng");
+const {
+  createSimulation,
+  resetPucks,
+  resetSimulation,
+  enforcePlayerConstraints,
+  setMalletPosition,
+  rewindMalletHit,
+  advanceSimulation,
+  malletRadius,
+} = require("./lib/simulation");
+const { createPowerUps, clearPowerUps } = require("./lib/powerups");
+const {
+  createQueue,
+  enqueue,
+  removeFromQueue,
+  findPairs,
+  expireEntries,
+  getQueueStats,
+} = require("./lib/matchmaking");
+const {
+  createHistoryStore,
+  getRating,
+  recordMatch,
+  applyRecord,
+  getRecentMatches,
+  getPlayerProfile,
+  getLeaderboard,
+} = require("./lib/history");
+const {
+  REPLAY_SPEEDS,
+  createRecording,
+  recordFrame,
+  recordEvent,
+  replayFilePath,
+  saveReplay,
+  loadReplay,
+  createPlayback,
+  stopPlayback,
+} = require("./lib/replay");
+const { createClockSync, validatePuckCorrection } = require("./lib/anticheat");
+const { resolveRules, physicsFromRules } = require("./lib/rules");
+const { BOT_LEVELS, createBot, updateBot } = require("./lib/bot");
+const {
+  captureSnapshot,
+  encodeSnapshot,
+  createSnapshotChannel,
+  trackSnapshot,
+  ackSnapshot,
+  describeProtocol,
+} = require("./lib/snapshot");
+const {
+  normalizePoint,
+  denormalizePoint,
+  normalizePuck,
+  normalizeState,
+  fitViewport,
+  describeTable,
+} = require("./lib/table");
+const { createLocalRegistryClient } = require("./lib/registry");
+const {
+  createMetricsRegistry,
+  registerCounter,
+  incCounter,
+  registerGauge,
+  registerHistogram,
+  observeHistogram,
+  registerSummary,
+  observeSummary,
+  renderMetrics,
+} = require("./lib/metrics");
+const {
+  setupWorker,
+  createIpcRegistryClient,
+  publishMatchRecord,
+  onMatchRecord,
+} = require("./lib/cluster");
+const { loadConfigOrExit, redactConfig } = require("./lib/config");
+const { createAuthMiddleware, tokenFromHandshake } = require("./lib/auth");
+const {
+  EMOTES,
+  createChatLog,
+  createWordFilter,
+  applyWordFilter,
+  sanitizeMessage,
+  appendChat,
+  recentChat,
+} = require("./lib/chat");
+const {
+  createSeries,
+  recordSeriesGame,
+  isSeriesDecided,
+  describeSeries,
+} = require("./lib/series");
+const {
+  createTournament,
+  registerPlayer,
+  unregisterPlayer,
+  startTournament,
+  recordMatchResult,
+  findPairing,
+  describeTournament,
+} = require("./lib/tournament");
+const {
+  EVENT_SCHEMAS,
+  createBucket,
+  takeToken,
+  createGuard,
+  normalizeEventArgs,
+  checkEvent,
+  recordViolation,
+} = require("./lib/guard");
+
+// Конфигурация: значения по умолчанию, файл config.json (или CONFIG_FILE)
+// и переменные окружения; при ошибках сервер не запускается
+const { config, sources: configSources, file: configFile } = loadConfigOrExit();
+
+// Разрешенные источники CORS ("*" - любой)
+const CORS_ANY_ORIGIN = config.server.corsOrigins.includes("*");
 
 // Инициализация Express
 const app = express();
@@ -12,7 +135,7 @@ const server = http.createServer(app);
 // Включение CORS
 app.use(
   cors({
-    origin: true,
+    origin: CORS_ANY_ORIGIN ? true : config.server.corsOrigins,
     methods: ["GET", "POST"],
     allowedHeaders: ["Content-Type", "Authorization"],
     credentials: true,
@@ -22,15 +145,15 @@ app.use(
 // Настройка Socket.IO с улучшенными параметрами для уменьшения задержки
 const io = new Server(server, {
   cors: {
-    origin: "*",
+    origin: CORS_ANY_ORIGIN ? "*" : config.server.corsOrigins,
     methods: ["GET", "POST"],
     allowedHeaders: ["*"],
   },
   // Оптимизированные настройки для минимизации задержкиxx
-  pingInterval: 5000, // Более частая проверка соединения (каждые 5 секунд)
-  pingTimeout: 3000, // Более быстрая реакция на отключение
+  pingInterval: config.socket.pingInterval, // Частая проверка соединения
+  pingTimeout: config.socket.pingTimeout, // Быстрая реакция на отключение
   transports: ["websocket"], // Использовать только WebSocket для минимальной задержки
-  maxHttpBufferSize: 1e5, // Уменьшение размера буфера для более быстрой передачи
+  maxHttpBufferSize: config.socket.maxHttpBufferSize, // Небольшой буфер для быстрой передачи
   perMessageDeflate: {
     threshold: 512, // Сжимать более мелкие сообщения для быстрой передачи
   },
@@ -39,19 +162,180 @@ const io = new Server(server, {
 // Хранилище активных матчей с Map для лучшей производительности
 const matches = new Map();
 
-// Игровые константы
-const PLAYER_RADIUS = 35;
-const PUCK_RADIUS = 20;
-const GOAL_WIDTH = 120;
-const WINNING_SCORE = 10;
+// Турниры по ID; в кластере турнир живет в процессе, который его создал
+const tournaments = new Map();
 
-// Константы физики для более плавного движения
-const FRICTION = 0.997; // Слегка уменьшенное трение для более плавного скольжения
-const AIR_RESISTANCE = 0.9998; // Уменьшенное сопротивление воздуха
-const BOARD_RESTITUTION = 0.97; // Увеличенное сохранение энергии при отскоке
-const MIN_VELOCITY = 0.2; // Меньший порог минимальной скорости
-const MAX_SPEED = 30; // Максимальная скорость шайбы
-const UPDATE_RATE = 10000; // ~60 FPS для максимальной плавности (16.67ms)
+// Реестр владельцев матчей: в кластере общий для всех рабочих процессов
+const matchRegistry = cluster.isWorker
+  ? createIpcRegistryClient()
+  : createLocalRegistryClient();
+
+// Период рассылки обновлений клиентам (по умолчанию 60 Гц, 16.67ms)
+// Физика считается отдельно с фиксированным шагом в lib/simulation.js
+const UPDATE_RATE = 1000 / config.game.updateRate;
+
+// Шаг физики: тиков в секунду и длительность тика (с)
+const TICK_RATE = config.game.tickRate;
+const TICK_DT = 1 / TICK_RATE;
+
+// Сколько ждать переподключения отключившегося игрока (мс)
+const RECONNECT_GRACE_PERIOD = config.game.reconnectGracePeriod;
+
+// История матчей и рейтинги игроков
+const historyStore = createHistoryStore(config.storage.historyFile);
+// Матчи, записанные другими процессами кластера, тоже меняют рейтинги
+if (cluster.isWorker) {
+  onMatchRecord(record => applyRecord(historyStore, record));
+}
+
+// Каталог сжатых повторов матчей
+const REPLAY_DIRECTORY = config.storage.replayDirectory;
+
+// Не чаще одного уведомления модерации и записи в журнал о подозрительных
+// действиях игрока за этот период (мс); счетчики учитывают все нарушения
+const CHEAT_REPORT_INTERVAL = config.game.cheatReportInterval;
+// Заявка клиента о голе без гола на сервере в этом окне считается подозрительной
+const GOAL_CLAIM_WINDOW = config.game.goalClaimWindow;
+
+// Максимальная перемотка при компенсации задержки ударов (мс)
+const MAX_LAG_COMPENSATION = config.game.maxLagCompensation;
+
+// Через сколько удалять матч без игроков (мс)
+const MATCH_CLEANUP_DELAY = config.game.matchCleanupDelay;
+
+// Сколько ждать начала встречи турнира до технического результата (мс)
+const TOURNAMENT_NO_SHOW_TIMEOUT = config.tournament.noShowTimeout;
+
+// Предложения сброса, паузы и реванша: ожидание ответа соперника,
+// обратный отсчет перед продолжением и наибольшая длительность паузы (мс)
+const PROPOSAL_TIMEOUT = config.game.proposalTimeout;
+const RESUME_COUNTDOWN = config.game.resumeCountdown;
+const MAX_PAUSE_DURATION = config.game.maxPauseDuration;
+// Арены по названию: встроенные и заданные в конфигурации
+const ARENAS = config.game.arenas;
+
+// Чат матча: длина сообщения, лимит частоты на игрока и фильтр слов
+const CHAT_MAX_MESSAGE_LENGTH = config.chat.maxMessageLength;
+const CHAT_LIMIT = { rate: config.chat.rate, burst: config.chat.burst };
+const chatFilter = createWordFilter(config.chat.bannedWords);
+
+// Счетчики трафика снимков для сравнения JSON и бинарного протокола
+const protocolStats = {
+  json: { messages: 0, bytes: 0 },
+  binary: {
+    messages: 0,
+    bytes: 0,
+    fullSnapshots: 0,
+    deltaSnapshots: 0,
+    // Сколько байт заняли бы те же снимки в JSON
+    jsonEquivalentBytes: 0,
+  },
+};
+
+// Метрики сервера для Prometheus (GET /metrics)
+const metricsRegistry = createMetricsRegistry("airhockey_");
+const serverMetrics = {
+  // Границы вокруг периода обновления (16.7 мс), чтобы видеть перегрузку цикла
+  tickDuration: registerHistogram(
+    metricsRegistry,
+    "tick_duration_seconds",
+    "Длительность итерации игрового цикла матча",
+    [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.0167, 0.025, 0.05, 0.1]
+  ),
+  tickOverruns: registerCounter(
+    metricsRegistry,
+    "tick_overruns_total",
+    "Итерации игрового цикла дольше периода обновления"
+  ),
+  messages: registerCounter(
+    metricsRegistry,
+    "messages_sent_total",
+    "Сообщения, отправленные клиентам, по типам событий"
+  ),
+  messageBytes: registerCounter(
+    metricsRegistry,
+    "message_bytes_sent_total",
+    "Объем данных сообщений, отправленных клиентам, по типам событий"
+  ),
+  goals: registerCounter(metricsRegistry, "goals_total", "Засчитанные голы"),
+  collisions: registerCounter(
+    metricsRegistry,
+    "collisions_total",
+    "Обработанные столкновения шайбы с битами и бортами"
+  ),
+  latency: registerSummary(
+    metricsRegistry,
+    "player_latency_milliseconds",
+    "Задержка игроков по измерениям ping/pong"
+  ),
+  rejectedJoins: registerCounter(
+    metricsRegistry,
+    "join_rejections_total",
+    "Отклоненные попытки присоединиться к матчу по причинам"
+  ),
+  rejectedEvents: registerCounter(
+    metricsRegistry,
+    "rejected_events_total",
+    "Отклоненные входящие события по событиям и причинам"
+  ),
+  guardDisconnects: registerCounter(
+    metricsRegistry,
+    "guard_disconnects_total",
+    "Сокеты, отключенные за повторные нарушения"
+  ),
+  cheatSuspicions: registerCounter(
+    metricsRegistry,
+    "cheat_suspicions_total",
+    "Подозрительные действия игроков по причинам"
+  ),
+};
+registerGauge(
+  metricsRegistry,
+  "active_matches",
+  "Активные матчи процесса",
+  () => matches.size
+);
+registerGauge(metricsRegistry, "players", "Игроки в активных матчах", () => {
+  const counts = { human: 0, bot: 0 };
+  for (const match of matches.values()) {
+    match.players.forEach(player => counts[player.bot ? "bot" : "human"]++);
+  }
+  return Object.entries(counts).map(([kind, value]) => ({
+    labels: { kind },
+    value,
+  }));
+});
+registerGauge(
+  metricsRegistry,
+  "sockets",
+  "Подключенные сокеты",
+  () => io.sockets.sockets.size
+);
+
+// Секрет подписи токенов игроков; без него сервер запускается только
+// в гостевом режиме со случайным секретом, который действует до перезапуска
+// (в кластере его создает основной процесс, см. cluster.js)
+const AUTH_SECRET =
+  config.auth.secret || crypto.randomBytes(32).toString("hex");
+if (!config.auth.secret) {
+  console.log(
+    "Внимание: не задан AUTH_SECRET, токены игроков подписаны временным секретом"
+  );
+}
+
+// Токен администратора; без него административный API отключен
+const ADMIN_TOKEN = config.admin.token;
+// Максимальная длина служебного объявления
+const MAX_NOTICE_LENGTH = config.admin.maxNoticeLength;
+
+// Очередь подбора соперников
+const MATCHMAKING_INTERVAL = config.matchmaking.interval; // Как часто искать пары (мс)
+const matchmakingQueue = createQueue({
+  timeout: config.matchmaking.timeout,
+  // Допустимая разница рейтингов и ее расширение за секунду ожидания
+  skillRange: config.matchmaking.skillRange,
+  skillWidening: config.matchmaking.skillWidening,
+});
 
 app.get("/test", (req, res) => {
   res.json({
@@ -67,10 +351,417 @@ app.get("/test", (req, res) => {
   });
 });
 
+// Метрики в текстовом формате Prometheus
+app.get("/metrics", (req, res) => {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics(metricsRegistry));
+});
+
+// Итоговая конфигурация без секретов и источник каждого значения
+app.get("/config", (req, res) => {
+  res.json({
+    status: "success",
+    file: configFile,
+    config: redactConfig(config),
+    sources: configSources,
+  });
+});
+
+// Состояние очереди подбора соперников
+app.get("/queue", (req, res) => {
+  res.json({
+    status: "success",
+    timestamp: Date.now(),
+    ...getQueueStats(matchmakingQueue, Date.now()),
+  });
+});
+
+// Ограничить размер выборки из query-параметра limit
+function parseLimit(value, defaultLimit, maxLimit) {
+  const limit = Number.parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit <= 0) return defaultLimit;
+  return Math.min(limit, maxLimit);
+}
+
+// Последние завершенные матчи
+app.get("/matches/history", (req, res) => {
+  res.json({
+    status: "success",
+    matches: getRecentMatches(historyStore, {
+      limit: parseLimit(req.query.limit, 20, 100),
+      playerId: req.query.playerId,
+    }),
+  });
+});
+
+// Профиль игрока с рейтингом и последними матчами
+app.get("/players/:id", (req, res) => {
+  const player = getPlayerProfile(historyStore, req.params.id);
+  if (!player) {
+    return res.status(404).json({
+      status: "error",
+      message: "Игрок не найден",
+    });
+  }
+
+  res.json({ status: "success", player });
+});
+
+// Таблица лидеров по рейтингу Эло
+app.get("/leaderboard", (req, res) => {
+  res.json({
+    status: "success",
+    leaderboard: getLeaderboard(
+      historyStore,
+      parseLimit(req.query.limit, 50, 500)
+    ),
+  });
+});
+
+// Скачать повтор завершенного матча
+app.get("/replays/:matchId", (req, res) => {
+  const filePath = replayFilePath(REPLAY_DIRECTORY, req.params.matchId);
+
+  fs.access(filePath, fs.constants.R_OK, error => {
+    if (error) {
+      return res.status(404).json({
+        status: "error",
+        message: "Повтор не найден",
+      });
+    }
+
+    res.download(filePath, path.basename(filePath));
+  });
+});
+
+// Сравнение объема снимков в JSON и бинарном протоколе
+app.get("/protocol/stats", (req, res) => {
+  const { json, binary } = protocolStats;
+  const average = (bytes, messages) =>
+    messages > 0 ? Math.round((bytes / messages) * 10) / 10 : 0;
+
+  res.json({
+    status: "success",
+    json: {
+      ...json,
+      averageBytes: average(json.bytes, json.messages),
+    },
+    binary: {
+      ...binary,
+      averageBytes: average(binary.bytes, binary.messages),
+      savedPercent:
+        binary.jsonEquivalentBytes > 0
+          ? Math.round((1 - binary.bytes / binary.jsonEquivalentBytes) * 1000) /
+            10
+          : 0,
+    },
+  });
+});
+
+// Распределение матчей по процессам
+app.get("/cluster", (req, res) => {
+  matchRegistry.stats(stats => {
+    res.json({
+      status: "success",
+      mode: cluster.isWorker ? "cluster" : "single",
+      owner: matchRegistry.owner,
+      localMatches: matches.size,
+      registry: stats,
+    });
+  });
+});
+
+// Набор эмоций чата
+app.get("/chat/emotes", (req, res) => {
+  res.json({ status: "success", emotes: EMOTES });
+});
+
+// Список турниров
+app.get("/tournaments", (req, res) => {
+  res.json({
+    status: "success",
+    tournaments: [...tournaments.values()].map(tournament => ({
+      id: tournament.id,
+      name: tournament.name,
+      format: tournament.format,
+      status: tournament.status,
+      playersCount: tournament.players.length,
+      maxPlayers: tournament.maxPlayers,
+      createdAt: tournament.createdAt,
+    })),
+  });
+});
+
+// Сетка, участники и таблица турнира
+app.get("/tournaments/:id", (req, res) => {
+  const tournament = tournaments.get(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({
+      status: "error",
+      message: "Турнир не найден",
+    });
+  }
+
+  res.json({ status: "success", tournament: describeTournament(tournament) });
+});
+
+// Сравнить токены за постоянное время
+function tokensEqual(token, expected) {
+  const hash = value =>
+    crypto
+      .createHash("sha256")
+      .update(value)
+      .digest();
+  return crypto.timingSafeEqual(hash(token), hash(expected));
+}
+
+// Доступ к /admin только с токеном: Authorization: Bearer <токен>
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({
+      status: "error",
+      message: "Административный API отключен: не задан ADMIN_TOKEN",
+    });
+  }
+
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!token || !tokensEqual(token, ADMIN_TOKEN)) {
+    return res.status(401).json({
+      status: "error",
+      message: "Неверный токен администратора",
+    });
+  }
+
+  next();
+}
+
+app.use("/admin", requireAdminToken, express.json());
+
+// Пространство имен /admin для модерации в реальном времени: сюда
+// приходят уведомления cheatSuspected. Подключение только с токеном
+// администратора (handshake.auth.token или Authorization: Bearer)
+const adminNamespace = io.of("/admin");
+adminNamespace.use((socket, next) => {
+  if (!ADMIN_TOKEN) {
+    const error = new Error(
+      "Административный канал отключен: не задан ADMIN_TOKEN"
+    );
+    error.data = { code: "adminDisabled" };
+    return next(error);
+  }
+
+  const token = tokenFromHandshake(socket.handshake);
+  if (typeof token !== "string" || !tokensEqual(token, ADMIN_TOKEN)) {
+    const error = new Error("Неверный токен администратора");
+    error.data = { code: "invalidToken" };
+    return next(error);
+  }
+
+  next();
+});
+
+// Найти матч для административного запроса или ответить 404
+function findAdminMatch(req, res) {
+  const match = matches.get(req.params.id);
+  if (!match) {
+    res.status(404).json({ status: "error", message: "Матч не найден" });
+  }
+  return match;
+}
+
+// Краткие сведения о матче для администратора
+function describeMatch(match) {
+  const { gameState } = match;
+
+  return {
+    id: match.id,
+    state: describeMatchState(match),
+    players: match.players.map(player => ({
+      number: player.number,
+      playerId: player.playerId,
+      name: player.name,
+      connected: player.connected,
+      latency: player.latency,
+      bot: player.bot ? player.bot.level : null,
+      // Подозрительные действия для модерации
+      violations: player.violations,
+      violationCount: player.violationCount,
+    })),
+    score: { 1: gameState.player1Score, 2: gameState.player2Score },
+    spectatorsCount: match.spectators.length,
+    rules: match.rules.preset,
+    tournamentId: match.tournamentId || null,
+    startedAt: match.startedAt,
+  };
+}
+
+// Стадия матча: ожидание игроков, игра, пауза после гола, ожидание
+// переподключения или завершен
+function describeMatchState(match) {
+  if (match.gameState.gameOver) return "finished";
+  if (match.paused) return "paused";
+  if (!match.started) return "waiting";
+  return match.gameState.isPlaying ? "playing" : "goalPause";
+}
+
+// Активные матчи этого процесса
+app.get("/admin/matches", (req, res) => {
+  res.json({
+    status: "success",
+    owner: matchRegistry.owner,
+    matches: [...matches.values()].map(describeMatch),
+  });
+});
+
+// Полное состояние матча
+app.get("/admin/matches/:id", (req, res) => {
+  const match = findAdminMatch(req, res);
+  if (!match) return;
+
+  res.json({
+    status: "success",
+    match: {
+      ...describeMatch(match),
+      seed: match.seed,
+      rules: match.rules,
+      tick: match.simulation.tick,
+      gameState: match.gameState,
+    },
+  });
+});
+
+// Досрочно завершить матч; winner - 1, 2 или 0 (ничья, по умолчанию)
+app.post("/admin/matches/:id/end", (req, res) => {
+  const match = findAdminMatch(req, res);
+  if (!match) return;
+
+  if (match.gameState.gameOver) {
+    return res.status(409).json({
+      status: "error",
+      message: "Матч уже завершен",
+    });
+  }
+
+  const { winner = 0, reason = null } = req.body || {};
+  if (![0, 1, 2].includes(winner)) {
+    return res.status(400).json({
+      status: "error",
+      message: "winner должен быть 0, 1 или 2",
+    });
+  }
+
+  endMatchByAdmin(match, winner, reason);
+  res.json({ status: "success", match: describeMatch(match) });
+});
+
+// Удалить игрока из матча; идущий матч засчитывается ему как поражение
+app.post("/admin/matches/:id/kick/:playerNumber", (req, res) => {
+  const match = findAdminMatch(req, res);
+  if (!match) return;
+
+  const playerNumber = Number(req.params.playerNumber);
+  const player = match.players.find(p => p.number === playerNumber);
+  if (!player) {
+    return res.status(404).json({
+      status: "error",
+      message: "Игрок не найден",
+    });
+  }
+
+  kickPlayer(match, player, (req.body && req.body.reason) || null);
+  res.json({ status: "success", match: describeMatch(match) });
+});
+
+// Служебное объявление всем клиентам или одному матчу
+app.post("/admin/broadcast", (req, res) => {
+  const { message, level = "info", matchId } = req.body || {};
+
+  if (
+    typeof message !== "string" ||
+    !message.trim() ||
+    message.length > MAX_NOTICE_LENGTH
+  ) {
+    return res.status(400).json({
+      status: "error",
+      message: `Текст объявления должен быть непустой строкой до ${MAX_NOTICE_LENGTH} символов`,
+    });
+  }
+
+  const notice = { message: message.trim(), level, timestamp: Date.now() };
+  if (matchId) {
+    io.to(matchId).emit("serverNotice", { ...notice, matchId });
+  } else {
+    io.emit("serverNotice", notice);
+  }
+
+  res.json({ status: "success", notice });
+});
+
+// Создать турнир: { name, format, maxPlayers, rules }
+app.post("/admin/tournaments", (req, res) => {
+  const options = req.body || {};
+  const resolved = resolveRules(options.rules, ARENAS);
+  const { tournament, error } = resolved.error
+    ? resolved
+    : createTournament(options, resolved.rules);
+  if (error) {
+    return res.status(400).json({ status: "error", message: error });
+  }
+
+  tournaments.set(tournament.id, tournament);
+  console.log(`Создан турнир ${tournament.id}: ${tournament.name}`);
+  res.json({ status: "success", tournament: describeTournament(tournament) });
+});
+
+// Закрыть регистрацию, посеять участников и создать матчи первого тура
+app.post("/admin/tournaments/:id/start", (req, res) => {
+  const tournament = tournaments.get(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({
+      status: "error",
+      message: "Турнир не найден",
+    });
+  }
+
+  const { ready, error } = startTournament(tournament);
+  if (error) {
+    return res.status(409).json({ status: "error", message: error });
+  }
+
+  createTournamentMatches(tournament, ready);
+  notifyTournament(tournament);
+  res.json({ status: "success", tournament: describeTournament(tournament) });
+});
+
 // Получить или создать матч по ID
-function getOrCreateMatch(matchId) {
+// rules - проверенные правила (resolveRules), применяются только к новому матчу
+function getOrCreateMatch(matchId, rules = resolveRules().rules) {
   if (!matches.has(matchId)) {
     console.log(`Создание нового матча: ${matchId}`);
+    const arena = ARENAS[rules.arena];
+    const gameState = {
+      // Шайбы на столе { id, pos, velocity, lastHitter }; расставляет их сброс
+      pucks: [],
+      player1Pos: { x: 0, y: 0 },
+      player2Pos: { x: 0, y: 0 },
+      player1Score: 0,
+      player2Score: 0,
+      // Логический размер стола по арене матча: одинаков для всех клиентов
+      canvasSize: { width: arena.width, height: arena.height },
+      isPlaying: false,
+      lastUpdateTime: Date.now(),
+      lastResetTime: Date.now(),
+      gameOver: false,
+      winner: 0,
+      // Правила матча и игровые часы для матчей на время
+      rules,
+      period: "regulation",
+      timeRemaining: rules.timeLimit,
+    };
+    // Зерно сохраняется в матче, чтобы физику можно было воспроизвести
+    const seed = randomSeed();
+
     matches.set(matchId, {
       id: matchId,
       players: [],
@@ -78,92 +769,181 @@ function getOrCreateMatch(matchId) {
       lastUpdateTime: Date.now(),
       updateInterval: null,
       lastSyncTime: Date.now(),
-      collisionHistory: [],
+      lastClockUpdate: 0,
       goalCooldown: false,
+      // Матч начался (gameStart) и ожидает переподключения игрока
+      started: false,
+      paused: false,
+      startedAt: null,
+      // Состав игроков на момент старта, используется для истории матчей
+      participants: [],
+      // Запись хронологии матча для повтора
+      recording: null,
+      // Номер последнего разосланного снимка
+      snapshotSeq: 0,
       // История позиций для интерполяции
       positionHistory: {
         puck: [],
         player1: [],
         player2: [],
       },
-      // Сохранение предыдущего состояния для сглаживания
-      previousState: null,
-      gameState: {
-        puckPos: { x: 0, y: 0 },
-        puckVelocity: { x: 0, y: 0 },
-        player1Pos: { x: 0, y: 0 },
-        player2Pos: { x: 0, y: 0 },
-        player1Score: 0,
-        player2Score: 0,
-        canvasSize: { width: 0, height: 0 },
-        isPlaying: false,
-        lastUpdateTime: Date.now(),
-        lastResetTime: Date.now(),
-        gameOver: false,
-        winner: 0,
-      },
+      // Socket ID зрителей: они не занимают мест игроков
+      spectators: [],
+      // Одно из мест занимает серверный бот
+      botMatch: false,
+      // Серия игр с реваншами; номер текущей игры серии
+      series: createSeries(rules.bestOf),
+      gameNumber: 1,
+      // Предложение, ждущее ответа соперника
+      proposal: null,
+      // Пауза по согласию игроков и обратный отсчет перед продолжением
+      pause: null,
+      countdown: null,
+      // Последние сообщения чата
+      chat: createChatLog(config.chat.historySize),
+      seed,
+      rules,
+      simulation: createMatchSimulation(gameState, seed, rules),
+      gameState,
     });
+    resetPositions(matches.get(matchId));
+    matchRegistry.claim(matchId);
   }
 
   return matches.get(matchId);
 }
 
+// Симуляция игры матча; бонусы включаются правилом powerUps
+function createMatchSimulation(gameState, seed, rules) {
+  return createSimulation(gameState, {
+    seed,
+    physics: physicsFromRules(rules),
+    powerUps: rules.powerUps ? createPowerUps(seed, TICK_RATE) : null,
+    arena: ARENAS[rules.arena],
+    tickRate: TICK_RATE,
+  });
+}
+
+// Описание стола матча для клиентов: размер и форма арены
+function describeMatchTable(match) {
+  return describeTable(match.gameState.canvasSize, match.simulation.arena);
+}
+
+// Бонус на столе для клиентов
+function describePowerUp(item, canvasSize) {
+  return {
+    powerUpId: item.id,
+    type: item.type,
+    position: normalizePoint(item.pos, canvasSize),
+    radius: item.radius,
+  };
+}
+
+// Действующий эффект бонуса для клиентов; playerNumber - на кого он действует
+// (null - на шайбу или на обоих игроков)
+function describeEffect(effect) {
+  return {
+    effectId: effect.id,
+    type: effect.type,
+    playerNumber: effect.target,
+    duration: Math.round((effect.endTick - effect.startTick) * TICK_DT * 1000),
+  };
+}
+
+// Разослать события бонусов из симуляции и записать их в повтор
+function emitPowerUpEvents(match, events) {
+  const { canvasSize } = match.gameState;
+
+  for (const event of events) {
+    let data;
+    if (event.type === "powerUpSpawned") {
+      data = describePowerUp(event.item, canvasSize);
+    } else if (event.type === "powerUpCollected") {
+      data = {
+        ...describePowerUp(event.item, canvasSize),
+        playerNumber: event.playerNumber,
+        effect: describeEffect(event.effect),
+      };
+    } else if (event.type === "powerUpExpired") {
+      // Истекает либо неподобранный бонус, либо эффект
+      data = event.item
+        ? { ...describePowerUp(event.item, canvasSize), reason: event.reason }
+        : { effect: describeEffect(event.effect), reason: event.reason };
+    } else {
+      continue;
+    }
+
+    io.to(match.id).emit(event.type, data);
+    recordMatchEvent(match, event.type, data);
+  }
+}
+
+// Показать подключившемуся клиенту бонусы, которые уже лежат на столе
+function syncPowerUps(socket, match) {
+  const { powerUps } = match.simulation;
+  if (!powerUps) return;
+
+  for (const item of powerUps.items) {
+    socket.emit(
+      "powerUpSpawned",
+      describePowerUp(item, match.gameState.canvasSize)
+    );
+  }
+}
+
+// Позиции и скорости шайб в нормализованных координатах для puckSync
+function puckSyncData(gameState) {
+  return {
+    pucks: gameState.pucks.map(puck =>
+      normalizePuck(puck, gameState.canvasSize)
+    ),
+  };
+}
+
 // Точный сброс позиций
 function resetPositions(match) {
   const { gameState } = match;
-  const { width, height } = gameState.canvasSize;
 
-  if (!width || !height) {
+  if (!resetSimulation(match.simulation)) {
     console.log(
       "Предупреждение: размер холста не установлен. Пропуск сброса позиций."
     );
     return false;
   }
 
-  // Сбросить скорость шайбы в ноль ПЕРЕД обновлением позиции для согласованности
-  gameState.puckVelocity = { x: 0, y: 0 };
-
-  // Точные позиции (не округлять для более плавного движения)
-  gameState.puckPos = {
-    x: width / 2,
-    y: height / 2,
-  };
-
-  // Игрок 1 в нижнем центре
-  gameState.player1Pos = {
-    x: width / 2,
-    y: height * 0.75,
-  };
-
-  // Игрок 2 в верхнем центре
-  gameState.player2Pos = {
-    x: width / 2,
-    y: height * 0.25,
-  };
-
   // Установить временную метку сброса
   gameState.lastResetTime = Date.now();
   gameState.lastUpdateTime = Date.now();
 
-  // Очистить историю столкновений и позиций при сбросе
-  match.collisionHistory = [];
+  // Очистить историю позиций при сбросе
   match.positionHistory = {
     puck: [],
     player1: [],
     player2: [],
   };
-  match.previousState = null;
 
   return true;
 }
 
+// Добавить событие в запись матча, если она ведется
+function recordMatchEvent(match, type, data) {
+  if (match.recording) {
+    recordEvent(match.recording, Date.now(), type, data);
+  }
+}
+
 // Полный сброс игры с подтверждением
 function resetGame(match) {
   resetPositions(match);
+  if (match.simulation.powerUps) {
+    emitPowerUpEvents(match, clearPowerUps(match.simulation));
+  }
   match.gameState.player1Score = 0;
   match.gameState.player2Score = 0;
   match.gameState.gameOver = false;
   match.gameState.winner = 0;
+  match.gameState.period = "regulation";
+  match.gameState.timeRemaining = match.rules.timeLimit;
   match.lastGoalTime = 0;
   match.goalCooldown = false;
 
@@ -171,636 +951,1254 @@ function resetGame(match) {
   return true;
 }
 
-// Улучшенные ограничения позиции игрока без округления для плавности
-function enforcePlayerConstraints(match, playerNumber, position) {
-  const { canvasSize } = match.gameState;
+// Проверка окончания игры по счету
+function checkGameOver(match) {
+  const { gameState, rules } = match;
+
+  if (!gameState) return false;
+
+  const { player1Score, player2Score } = gameState;
+
+  // Во внезапной смерти побеждает первый забивший
+  const suddenDeathDecided =
+    gameState.period === "suddenDeath" && player1Score !== player2Score;
+  // Проверить наличие победного счета
+  const winningScoreReached =
+    rules.winningScore !== null &&
+    Math.max(player1Score, player2Score) >= rules.winningScore;
+
+  if (suddenDeathDecided || winningScoreReached) {
+    gameState.gameOver = true;
+    gameState.winner = player1Score > player2Score ? 1 : 2;
+    gameState.isPlaying = false;
+    return true;
+  }
+
+  return false;
+}
+
+// Отсчитать игровое время матча на время
+// Возвращает true, если матч завершился по времени
+function updateMatchClock(match, elapsed, now) {
+  const { gameState, rules } = match;
+  if (!rules.timeLimit || gameState.period === "suddenDeath") return false;
+
+  gameState.timeRemaining = Math.max(0, gameState.timeRemaining - elapsed);
+
+  // Синхронизировать часы клиентов раз в секунду
+  if (now - match.lastClockUpdate >= 1000) {
+    match.lastClockUpdate = now;
+    io.to(match.id).emit("clockUpdate", {
+      period: gameState.period,
+      timeRemaining: gameState.timeRemaining,
+    });
+  }
+
+  if (gameState.timeRemaining > 0) return false;
+  return handleTimeUp(match);
+}
+
+// Время периода истекло: победа по счету, овертайм, внезапная смерть или ничья
+function handleTimeUp(match) {
+  const { gameState, rules } = match;
+  const { player1Score, player2Score } = gameState;
+
+  if (player1Score !== player2Score) {
+    gameState.gameOver = true;
+    gameState.winner = player1Score > player2Score ? 1 : 2;
+    gameState.isPlaying = false;
+    finishMatch(match, { reason: "timeUp" });
+    return true;
+  }
+
+  if (gameState.period === "regulation" && rules.overtime > 0) {
+    gameState.period = "overtime";
+    gameState.timeRemaining = rules.overtime;
+  } else if (rules.suddenDeath) {
+    gameState.period = "suddenDeath";
+    gameState.timeRemaining = null;
+  } else {
+    gameState.gameOver = true;
+    gameState.winner = 0;
+    gameState.isPlaying = false;
+    finishMatch(match, { reason: "timeUp", draw: true });
+    return true;
+  }
+
+  recordMatchEvent(match, "period", { gameState });
+  io.to(match.id).emit("periodChange", {
+    period: gameState.period,
+    timeRemaining: gameState.timeRemaining,
+  });
+
+  return false;
+}
+
+// Улучшенная обработка забитых голов
+// puckId - шайба, влетевшая в ворота; после гола сбрасываются все шайбы
+function handleGoal(match, scorer, puckId) {
+  // Предотвратить забивание нескольких голов в быстрой последовательности
+  const now = Date.now();
+  const goalCooldownTime = Math.min(2000, match.rules.goalPause);
+  if (now - match.lastGoalTime < goalCooldownTime || match.goalCooldown) {
+    return false;
+  }
+
+  // Установить время охлаждения и временные метки
+  match.lastGoalTime = now;
+  incCounter(serverMetrics.goals);
+  match.goalCooldown = true;
+
+  // Временно остановить игру
+  match.gameState.isPlaying = false;
+
+  // Обновить счет для забившего игрока
+  if (scorer === 1) {
+    match.gameState.player1Score++;
+  } else if (scorer === 2) {
+    match.gameState.player2Score++;
+  }
+
+  // Проверить, окончена ли игра
+  const isGameOver = checkGameOver(match);
+
+  // Сбросить позиции и остановить шайбу
+  resetPositions(match);
+
+  recordMatchEvent(match, "goal", {
+    scorer,
+    puckId,
+    player1Score: match.gameState.player1Score,
+    player2Score: match.gameState.player2Score,
+    gameState: match.gameState,
+  });
+
+  // Отправить обновление счета клиентам с точными позициями
+  io.to(match.id).emit("scoreUpdate", {
+    player1Score: match.gameState.player1Score,
+    player2Score: match.gameState.player2Score,
+    gameState: normalizeState(match.gameState), // Копия без потери точности
+    scorer,
+    puckId,
+  });
+
+  if (isGameOver) {
+    // Сохранить результат и отправить уведомление об окончании игры
+    finishMatch(match);
+  } else {
+    // Возобновить игру после задержки, если игра не окончена
+    setTimeout(() => {
+      // Во время ожидания переподключения игру возобновит resumeAfterReconnect
+      if (match && !match.gameState.gameOver && !match.paused) {
+        match.gameState.isPlaying = true;
+        match.goalCooldown = false; // Очистить время охлаждения
+
+        // Убедиться, что шайбы стоят на исходных местах с нулевой скоростью
+        resetPucks(match.simulation);
+
+        // Очистить историю позиций для чистого старта
+        match.positionHistory = {
+          puck: match.gameState.pucks.map(puck => ({
+            pos: { ...puck.pos },
+            timestamp: Date.now(),
+          })),
+          player1: [],
+          player2: [],
+        };
+
+        // Сообщить клиентам о возобновлении игры с точными данными
+        recordMatchEvent(match, "resume", { gameState: match.gameState });
+        io.to(match.id).emit("resumeGame", normalizeState(match.gameState));
+      }
+    }, match.rules.goalPause);
+  }
+
+  return true;
+}
+
+// Записать результат завершенного матча в историю и уведомить клиентов
+function finishMatch(match, details = {}) {
+  const { gameState } = match;
+  let record = null;
+
+  clearMatchTimers(match);
+
+  // Матчи с ботом не попадают в историю и не меняют рейтинг
+  if (match.participants.length === 2 && !match.botMatch) {
+    record = recordMatch(historyStore, {
+      matchId: gameId(match),
+      players: match.participants,
+      scores: { 1: gameState.player1Score, 2: gameState.player2Score },
+      winner: gameState.winner,
+      startedAt: match.startedAt,
+      endedAt: Date.now(),
+      forfeit: Boolean(details.forfeit),
+    });
+    if (cluster.isWorker) {
+      publishMatchRecord(record);
+    }
+  }
+
+  // Игроки матча (до старта матча - текущие игроки);
+  // счет серии ведется по их постоянным playerId
+  const seated =
+    match.participants.length > 0 ? match.participants : match.players;
+  const playerIdByNumber = number => {
+    const player = seated.find(p => p.number === number);
+    return player ? player.playerId : null;
+  };
+  recordSeriesGame(match.series, {
+    winner: gameState.winner ? playerIdByNumber(gameState.winner) : null,
+    goals: {
+      [playerIdByNumber(1)]: gameState.player1Score,
+      [playerIdByNumber(2)]: gameState.player2Score,
+    },
+  });
+
+  const gameOverData = {
+    winner: gameState.winner,
+    player1Score: gameState.player1Score,
+    player2Score: gameState.player2Score,
+    ...details,
+    // Личности игроков матча
+    players: seated.map(player => ({
+      playerNumber: player.number,
+      playerId: player.playerId,
+      name: player.name,
+    })),
+    series: describeSeries(match.series, seated),
+    // Изменения рейтинга Эло по номерам игроков
+    ratings: record
+      ? record.players.map(player => ({
+          playerNumber: player.number,
+          playerId: player.playerId,
+          ratingBefore: player.ratingBefore,
+          ratingAfter: player.ratingAfter,
+        }))
+      : [],
+  };
+
+  // Сохранить повтор матча вместе с финальным событием
+  if (match.recording) {
+    recordMatchEvent(match, "gameOver", gameOverData);
+    saveReplay(REPLAY_DIRECTORY, match.recording, error => {
+      if (error) {
+        console.log(`Ошибка сохранения повтора ${match.id}:`, error.message);
+      }
+    });
+    match.recording = null;
+  }
+
+  io.to(match.id).emit("gameOver", gameOverData);
+
+  if (match.tournamentId) {
+    advanceTournament(match);
+  }
+}
+
+// ID игры для истории и повтора: у реваншей серии свой суффикс
+function gameId(match) {
+  return match.gameNumber > 1 ? `${match.id}-g${match.gameNumber}` : match.id;
+}
+
+// Остановить предложение, паузу и обратный отсчет матча
+function clearMatchTimers(match) {
+  if (match.proposal) {
+    resolveProposal(match, "cancelled");
+  }
+  if (match.pause) {
+    clearTimeout(match.pause.timer);
+    match.pause = null;
+  }
+  if (match.countdown) {
+    clearInterval(match.countdown);
+    match.countdown = null;
+  }
+}
+
+// Почему сейчас нельзя предложить действие; null - можно
+function proposalBlocker(match, type) {
+  if (match.proposal) return "Уже есть предложение, ожидающее ответа";
+  if (match.players.length < 2 || match.players.some(p => !p.connected)) {
+    return "Соперник не на связи";
+  }
+
+  if (type === "rematch") {
+    if (!match.gameState.gameOver) return "Игра еще не окончена";
+    if (match.tournamentId) return "Реванш в турнире невозможен";
+    return null;
+  }
+
+  if (!match.started || match.gameState.gameOver) return "Игра не идет";
+  if (match.paused) return "Игра уже остановлена";
+  return null;
+}
+
+// Предложить сопернику сброс, паузу или реванш
+// Возвращает { proposal } или { error }
+function createProposal(match, player, type) {
+  const error = proposalBlocker(match, type);
+  if (error) return { error };
+
+  const expiresAt = Date.now() + PROPOSAL_TIMEOUT;
+  const proposal = {
+    id: uuidv4(),
+    type,
+    proposedBy: player.number,
+    expiresAt,
+    timer: setTimeout(
+      () => resolveProposal(match, "timeout"),
+      PROPOSAL_TIMEOUT
+    ),
+  };
+  match.proposal = proposal;
+
+  io.to(match.id).emit("proposal", {
+    proposalId: proposal.id,
+    type,
+    proposedBy: player.number,
+    expiresAt,
+    timeout: PROPOSAL_TIMEOUT,
+  });
+
+  // Бот соглашается на любое предложение
+  const opponent = match.players.find(p => p.number !== player.number);
+  if (opponent.bot) {
+    resolveProposal(match, "accepted");
+  }
+
+  return { proposal };
+}
+
+// Завершить предложение: accepted, declined, timeout или cancelled
+function resolveProposal(match, result) {
+  const { proposal } = match;
+  if (!proposal) return;
+
+  clearTimeout(proposal.timer);
+  match.proposal = null;
+
+  io.to(match.id).emit("proposalResult", {
+    proposalId: proposal.id,
+    type: proposal.type,
+    proposedBy: proposal.proposedBy,
+    result,
+  });
+
+  if (result !== "accepted") return;
+
+  switch (proposal.type) {
+    case "reset":
+      applyReset(match);
+      break;
+    case "pause":
+      pauseMatch(match, proposal.proposedBy);
+      break;
+    case "rematch":
+      startRematch(match);
+      break;
+  }
+}
+
+// Продолжить игру после обратного отсчета; onStart вызывается при старте
+function resumeWithCountdown(match, reason, onStart) {
+  const { gameState } = match;
+  let remaining = Math.ceil(RESUME_COUNTDOWN / 1000);
+
+  // До конца отсчета матч стоит, как во время паузы
+  match.paused = true;
+  gameState.isPlaying = false;
+  stopGameLoop(match.id);
+
+  const tick = () => {
+    if (remaining > 0) {
+      io.to(match.id).emit("countdown", { reason, remaining });
+      remaining--;
+      return;
+    }
+
+    clearInterval(match.countdown);
+    match.countdown = null;
+    match.paused = false;
+    match.goalCooldown = false;
+    gameState.isPlaying = true;
+    startGameLoop(match.id);
+    onStart();
+  };
+
+  match.countdown = setInterval(tick, 1000);
+  tick();
+}
+
+// Сброс счета по согласию обоих игроков
+function applyReset(match) {
+  resetGame(match);
+  recordMatchEvent(match, "reset", { gameState: match.gameState });
+  io.to(match.id).emit("gameReset", normalizeState(match.gameState));
+
+  resumeWithCountdown(match, "reset", () => {
+    io.to(match.id).emit("resumeGame", normalizeState(match.gameState));
+  });
+}
+
+// Пауза по согласию; продолжить игру может любой игрок (endPause),
+// а по истечении наибольшей длительности она заканчивается сама
+function pauseMatch(match, pausedBy) {
+  const endsAt = Date.now() + MAX_PAUSE_DURATION;
+
+  match.paused = true;
+  match.gameState.isPlaying = false;
+  stopGameLoop(match.id);
+  match.pause = {
+    pausedBy,
+    endsAt,
+    timer: setTimeout(() => endPause(match), MAX_PAUSE_DURATION),
+  };
+
+  recordMatchEvent(match, "pause", { gameState: match.gameState });
+  io.to(match.id).emit("gamePaused", {
+    pausedBy,
+    endsAt,
+    maxDuration: MAX_PAUSE_DURATION,
+  });
+}
+
+// Завершить паузу и продолжить игру после обратного отсчета
+function endPause(match) {
+  if (!match.pause) return;
+
+  clearTimeout(match.pause.timer);
+  match.pause = null;
+  io.to(match.id).emit("pauseEnded", {});
+
+  resumeWithCountdown(match, "pause", () => {
+    recordMatchEvent(match, "resume", { gameState: match.gameState });
+    io.to(match.id).emit("resumeGame", normalizeState(match.gameState));
+  });
+}
+
+// Поменять игроков сторонами стола: номера игроков меняются местами
+function swapEnds(match) {
+  for (const player of match.players) {
+    player.number = player.number === 1 ? 2 : 1;
+    if (player.bot) {
+      player.bot = createBot(player.bot.level, player.number);
+    }
+
+    const socket = io.sockets.sockets.get(player.id);
+    if (socket) socket.playerNumber = player.number;
+  }
+  match.players.sort((a, b) => a.number - b.number);
+}
+
+// Следующая игра серии (или новая серия, если прежняя решена)
+function startRematch(match) {
+  const { gameState } = match;
+
+  if (isSeriesDecided(match.series)) {
+    match.series = createSeries(match.rules.bestOf);
+  }
+  match.gameNumber++;
+  swapEnds(match);
+
+  // Новая игра - новое зерно физики, чтобы повтор игры был воспроизводим
+  match.seed = randomSeed();
+  match.simulation = createMatchSimulation(gameState, match.seed, match.rules);
+  resetGame(match);
+
+  match.startedAt = Date.now();
+  match.participants = match.players.map(p => ({
+    number: p.number,
+    playerId: p.playerId,
+    name: p.name,
+  }));
+  match.recording = createRecording({
+    matchId: gameId(match),
+    seed: match.seed,
+    gameState,
+    startTime: match.startedAt,
+  });
+
+  io.to(match.id).emit("rematchStart", {
+    gameNumber: match.gameNumber,
+    players: match.participants.map(p => ({
+      playerNumber: p.number,
+      playerId: p.playerId,
+      name: p.name,
+    })),
+    series: describeSeries(match.series, match.participants),
+  });
+
+  resumeWithCountdown(match, "rematch", () => {
+    io.to(match.id).emit("gameStart", normalizeState(gameState));
+  });
+}
+
+// Разослать сообщение чата комнате матча, кроме заглушивших автора
+function broadcastChat(match, message) {
+  const mutedBy = match.players
+    .filter(p => p.mutedPlayers.includes(message.playerId))
+    .map(p => p.id);
+  const event = message.type === "emote" ? "emote" : "chatMessage";
 
-  // Убедиться, что размеры холста действительны
-  if (!canvasSize || !canvasSize.width || !canvasSize.height) {
-    console.log(
-      "Предупреждение: Неверный размер холста для ограничений игрока"
-    );
-    return position;
-  }
+  io.to(match.id)
+    .except(mutedBy)
+    .emit(event, message);
+}
+
+// Комната участников и наблюдателей турнира
+function tournamentRoom(tournamentId) {
+  return `tournament:${tournamentId}`;
+}
 
-  // Применить ограничения без округления координат
-  let newX = Math.max(
-    PLAYER_RADIUS,
-    Math.min(position.x, canvasSize.width - PLAYER_RADIUS)
+// Разослать текущую сетку турнира
+function notifyTournament(tournament) {
+  io.to(tournamentRoom(tournament.id)).emit(
+    "tournamentUpdate",
+    describeTournament(tournament)
   );
+}
 
-  let newY;
-  if (playerNumber === 1) {
-    // Игрок 1 ограничен нижней половиной
-    newY = Math.max(
-      canvasSize.height / 2 + PLAYER_RADIUS,
-      Math.min(position.y, canvasSize.height - PLAYER_RADIUS)
-    );
-  } else {
-    // Игрок 2 ограничен верхней половиной
-    newY = Math.min(
-      canvasSize.height / 2 - PLAYER_RADIUS,
-      Math.max(position.y, PLAYER_RADIUS)
-    );
+// Создать игровые матчи для готовых встреч турнира
+// Войти в такой матч могут только участники встречи
+function createTournamentMatches(tournament, pairings) {
+  for (const pairing of pairings) {
+    const match = getOrCreateMatch(pairing.id, tournament.rules);
+    match.tournamentId = tournament.id;
+    match.allowedPlayers = pairing.players;
+    scheduleTournamentNoShow(match.id);
   }
+}
 
-  return { x: newX, y: newY };
+// Встреча турнира с этим ID матча или null
+function findTournamentPairing(matchId) {
+  for (const tournament of tournaments.values()) {
+    const pairing = findPairing(tournament, matchId);
+    if (pairing) return pairing;
+  }
+  return null;
 }
 
-// Проверка окончания игры
-function checkGameOver(match) {
+// Встреча турнира, не начавшаяся за время ожидания, завершается без игры,
+// чтобы сетка не остановилась из-за неявки
+function scheduleTournamentNoShow(matchId) {
+  setTimeout(() => {
+    const match = matches.get(matchId);
+    if (match && !match.started && !match.gameState.gameOver) {
+      awardWalkover(match);
+    }
+  }, TOURNAMENT_NO_SHOW_TIMEOUT);
+}
+
+// Техническая победа пришедшему участнику встречи; если не пришел никто,
+// результат без победителя (на выбывание проходит более высокий посев)
+function awardWalkover(match) {
   const { gameState } = match;
+  const present = match.players.filter(p => p.connected);
 
-  if (!gameState) return false;
+  match.players.forEach(clearReconnect);
+  gameState.gameOver = true;
+  gameState.isPlaying = false;
+  gameState.winner = present.length === 1 ? present[0].number : 0;
+  console.log(`Неявка на встречу турнира ${match.id}`);
 
-  // Проверить наличие победного счета
-  if (gameState.player1Score >= WINNING_SCORE) {
-    gameState.gameOver = true;
-    gameState.winner = 1;
-    gameState.isPlaying = false;
-    return true;
-  } else if (gameState.player2Score >= WINNING_SCORE) {
-    gameState.gameOver = true;
-    gameState.winner = 2;
-    gameState.isPlaying = false;
-    return true;
-  }
+  finishMatch(match, { walkover: true });
 
-  return false;
+  if (match.players.length === 0) {
+    matches.delete(match.id);
+    matchRegistry.release(match.id);
+  }
 }
 
-// Вспомогательная функция для проверки столкновения шайбы с игроком
-function checkPuckPlayerCollision(puckPos, playerPos) {
-  const dx = puckPos.x - playerPos.x;
-  const dy = puckPos.y - playerPos.y;
-  const distance = Math.sqrt(dx * dx + dy * dy);
-
-  return distance < PUCK_RADIUS + PLAYER_RADIUS;
-}
+// Передать результат завершенного матча в сетку турнира
+function advanceTournament(match) {
+  const tournament = tournaments.get(match.tournamentId);
+  if (!tournament) return;
 
-// Функция для обработки столкновения шайбы с игроком
-function handlePlayerCollision(match, playerNumber) {
   const { gameState } = match;
-  const puckPos = gameState.puckPos;
-  const playerPos =
-    playerNumber === 1 ? gameState.player1Pos : gameState.player2Pos;
+  const pairing = findPairing(tournament, match.id);
+  if (!pairing) return;
+
+  // Номер игрока в матче -> playerId; не вошедшие в матч участники
+  // встречи занимают свободные места по порядку в сетке
+  const seated = match.participants.length ? match.participants : match.players;
+  const unseated = pairing.players.filter(
+    playerId => !seated.some(p => p.playerId === playerId)
+  );
+  const playerIdByNumber = number => {
+    const player = seated.find(p => p.number === number);
+    if (player) return player.playerId;
+    return seated.length === 0 ? unseated[number - 1] : unseated[0];
+  };
 
-  // Создать уникальный ID столкновения
-  const collisionId = `${playerNumber}_${Date.now()}`;
+  const goals = {
+    [playerIdByNumber(1)]: gameState.player1Score,
+    [playerIdByNumber(2)]: gameState.player2Score,
+  };
+  const result = recordMatchResult(
+    tournament,
+    match.id,
+    {
+      winner: gameState.winner ? playerIdByNumber(gameState.winner) : null,
+      goals,
+    },
+    Date.now()
+  );
+  if (!result) return;
 
-  // Проверить, обрабатывали ли мы уже это столкновение
-  if (match.collisionHistory.includes(collisionId)) {
-    return false;
-  }
+  createTournamentMatches(tournament, result.ready);
+  notifyTournament(tournament);
 
-  // Добавить в историю и ограничить размер истории
-  match.collisionHistory.push(collisionId);
-  if (match.collisionHistory.length > 10) {
-    match.collisionHistory.shift();
+  if (tournament.status === "finished") {
+    console.log(
+      `Турнир ${tournament.id} завершен, победитель: ${tournament.winner}`
+    );
   }
+}
+
+// Комната клиентов матча, выбравших бинарный протокол
+function binaryRoom(matchId) {
+  return `${matchId}:binary`;
+}
 
-  // Вектор от игрока к шайбе
-  const dx = puckPos.x - playerPos.x;
-  const dy = puckPos.y - playerPos.y;
-  const distance = Math.sqrt(dx * dx + dy * dy);
+// Число сокетов в комнате Socket.IO
+function roomSize(room) {
+  const sockets = io.sockets.adapter.rooms.get(room);
+  return sockets ? sockets.size : 0;
+}
 
-  // Предотвратить деление на ноль
-  if (distance === 0) return false;
+// Учесть трафик JSON-обновления для всех JSON-клиентов матча
+function countJsonSnapshot(match, updateData) {
+  const recipients = roomSize(match.id) - roomSize(binaryRoom(match.id));
+  if (recipients <= 0) return;
 
-  // Нормализованный вектор
-  const nx = dx / distance;
-  const ny = dy / distance;
+  const bytes = Buffer.byteLength(JSON.stringify(updateData));
+  protocolStats.json.messages += recipients;
+  protocolStats.json.bytes += recipients * bytes;
+}
 
-  // Отодвинуть шайбу от игрока (избежать застревания)
-  gameState.puckPos.x = playerPos.x + nx * (PLAYER_RADIUS + PUCK_RADIUS + 1);
-  gameState.puckPos.y = playerPos.y + ny * (PLAYER_RADIUS + PUCK_RADIUS + 1);
+// Разослать бинарные снимки: каждому клиенту дельта от его подтвержденного снимка
+function sendBinarySnapshots(match, snapshot, updateData) {
+  const socketIds = io.sockets.adapter.rooms.get(binaryRoom(match.id));
+  if (!socketIds) return;
 
-  // Рассчитать импульс от игрока к шайбе
-  // Используем скорость игрока, если она доступна
-  let playerSpeed = 0;
-  const playerVelocity = { x: 0, y: 0 };
+  const jsonBytes = Buffer.byteLength(JSON.stringify(updateData));
 
-  // Имитация скорости игрока на основе истории позиций
-  if (match.positionHistory[`player${playerNumber}`].length >= 2) {
-    const history = match.positionHistory[`player${playerNumber}`];
-    const current = history[history.length - 1];
-    const previous = history[history.length - 2];
+  for (const socketId of socketIds) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket || !socket.snapshotChannel) continue;
 
-    if (current && previous && current.timestamp !== previous.timestamp) {
-      const dt = (current.timestamp - previous.timestamp) / 1000;
-      if (dt > 0) {
-        playerVelocity.x = (current.pos.x - previous.pos.x) / dt;
-        playerVelocity.y = (current.pos.y - previous.pos.y) / dt;
-        playerSpeed = Math.sqrt(
-          playerVelocity.x * playerVelocity.x +
-            playerVelocity.y * playerVelocity.y
-        );
-      }
+    const channel = socket.snapshotChannel;
+    const buffer = encodeSnapshot(snapshot, channel.acked);
+    trackSnapshot(channel, snapshot);
+    socket.emit("snapshot", buffer);
+
+    protocolStats.binary.messages++;
+    protocolStats.binary.bytes += buffer.length;
+    protocolStats.binary.jsonEquivalentBytes += jsonBytes;
+    if (channel.acked) {
+      protocolStats.binary.deltaSnapshots++;
+    } else {
+      protocolStats.binary.fullSnapshots++;
     }
   }
+}
 
-  // Применить импульс от игрока к шайбе
-  const IMPACT_FACTOR = 1.5; // Увеличенный фактор удара для более динамичной игры
-  const baseVelocity = 10; // Базовая скорость при ударе
-
-  // Использовать скорость игрока, если она достаточно большая
-  if (playerSpeed > 5) {
-    gameState.puckVelocity.x = playerVelocity.x * IMPACT_FACTOR;
-    gameState.puckVelocity.y = playerVelocity.y * IMPACT_FACTOR;
-  } else {
-    // Иначе использовать направление от игрока к шайбе
-    gameState.puckVelocity.x = nx * baseVelocity;
-    gameState.puckVelocity.y = ny * baseVelocity;
+// Учесть длительность итерации игрового цикла
+function recordTickDuration(iterationStart) {
+  const seconds = Number(process.hrtime.bigint() - iterationStart) / 1e9;
+  observeHistogram(serverMetrics.tickDuration, seconds);
+  if (seconds * 1000 > UPDATE_RATE) {
+    incCounter(serverMetrics.tickOverruns);
   }
+}
 
-  // Добавить небольшую случайность к отскоку для реалистичности
-  const randomFactor = 1 + (Math.random() * 0.1 - 0.05); // ±5% вариация
-  gameState.puckVelocity.x *= randomFactor;
-  gameState.puckVelocity.y *= randomFactor;
+// Учесть столкновения из событий симуляции
+function countCollisions(events) {
+  events
+    .filter(event => event.type === "collision")
+    .forEach(event =>
+      incCounter(serverMetrics.collisions, { target: event.target })
+    );
+}
 
-  // Ограничить максимальную скорость
-  const speed = Math.sqrt(
-    gameState.puckVelocity.x * gameState.puckVelocity.x +
-      gameState.puckVelocity.y * gameState.puckVelocity.y
+// Учесть исходящее сообщение клиенту (вызывается для каждого получателя)
+function countOutgoingMessage(event, args) {
+  const bytes = args.reduce(
+    (total, arg) =>
+      total +
+      (Buffer.isBuffer(arg)
+        ? arg.length
+        : Buffer.byteLength(JSON.stringify(arg) || "")),
+    0
   );
 
-  if (speed > MAX_SPEED) {
-    const scaleFactor = MAX_SPEED / speed;
-    gameState.puckVelocity.x *= scaleFactor;
-    gameState.puckVelocity.y *= scaleFactor;
-  }
+  incCounter(serverMetrics.messages, { event });
+  incCounter(serverMetrics.messageBytes, { event }, bytes);
+}
 
-  return true;
+// Отклонить попытку присоединиться к матчу с учетом в метриках
+function rejectJoin(callback, reason, response) {
+  incCounter(serverMetrics.rejectedJoins, { reason });
+  callback({ success: false, ...response });
 }
 
-// Улучшенный физический движок с предсказанием столкновений и сглаживанием
-function updatePuckPhysics(match) {
-  const { gameState } = match;
-  const now = Date.now();
+// Одна итерация игрового цикла: часы, физика и рассылка состояния
+function updateMatchFrame(match) {
+  const matchId = match.id;
 
-  // Измерение реального времени между кадрами для стабильной физики
-  const deltaTime = Math.min((now - gameState.lastUpdateTime) / 1000, 0.05); // Ограничение до 50мс
-  gameState.lastUpdateTime = now;
+  // Реальное время с прошлой итерации, физика сама разобьет его на тики
+  const now = Date.now();
+  const elapsed = now - match.lastUpdateTime;
+  match.lastUpdateTime = now;
+
+  if (
+    match.gameState.isPlaying &&
+    match.players.length === 2 &&
+    !match.gameState.gameOver
+  ) {
+    // Игровые часы идут только во время розыгрыша
+    if (updateMatchClock(match, elapsed, now)) return;
+
+    // Боты двигают биты до шага физики, как если бы прислали playerMove
+    driveBots(match, now);
+
+    // Обновить физику фиксированными шагами
+    const { events } = advanceSimulation(match.simulation, elapsed);
+    countCollisions(events);
+    emitPowerUpEvents(match, events);
+    match.gameState.lastUpdateTime = now;
+
+    if (match.recording) {
+      recordFrame(match.recording, now, match.simulation.tick, match.gameState);
+    }
 
-  // Пропустить физику, если игра не в процессе
-  if (!gameState.isPlaying || gameState.gameOver || match.goalCooldown)
-    return false;
+    // Гол определяется симуляцией, дальше работает обработчик гола
+    const goal = events.find(event => event.type === "goal");
+    if (goal) {
+      handleGoal(match, goal.scorer, goal.puckId);
+      return;
+    }
 
-  // Сохранить предыдущее состояние для интерполяции
-  if (!match.previousState) {
-    match.previousState = {
-      puckPos: { ...gameState.puckPos },
-      puckVelocity: { ...gameState.puckVelocity },
+    const collisionOccurred = events.some(event => event.type === "collision");
+
+    const { canvasSize } = match.gameState;
+
+    // Номер снимка общий для JSON и бинарного протокола
+    const seq = ++match.snapshotSeq;
+
+    // Отправить компактное обновление клиентам с высокой точностью данных
+    const updateData = {
+      seq,
+      // Шайбы по id в нормализованных координатах без округления
+      pucks: match.gameState.pucks.map(puck => ({
+        id: puck.id,
+        // Предсказание движения на 50 мс вперед для компенсации сетевой задержки
+        p: normalizePoint(
+          {
+            x: puck.pos.x + puck.velocity.x * 0.05,
+            y: puck.pos.y + puck.velocity.y * 0.05,
+          },
+          canvasSize
+        ),
+        v: normalizePoint(puck.velocity, canvasSize),
+      })),
+      t: Date.now(), // Временная метка для интерполяции клиента
+      // Добавить флаги для клиентской интерполяции
+      interp: true,
+      collision: collisionOccurred,
     };
-  } else {
-    match.previousState.puckPos = { ...gameState.puckPos };
-    match.previousState.puckVelocity = { ...gameState.puckVelocity };
+
+    // Клиенты бинарного протокола получают дельта-снимки отдельно
+    const jsonClients = io.to(matchId).except(binaryRoom(matchId));
+    jsonClients.emit("gameUpdate", updateData);
+    countJsonSnapshot(match, updateData);
+
+    sendBinarySnapshots(
+      match,
+      captureSnapshot(
+        normalizeState(match.gameState),
+        seq,
+        now,
+        collisionOccurred
+      ),
+      updateData
+    );
+
+    // Отправить полную синхронизацию при столкновении или периодически
+    // с увеличенной частотой для лучшей согласованности
+    if (collisionOccurred || Date.now() - match.lastSyncTime > 500) {
+      // Каждые 500 мс вместо 1000 мс
+      match.lastSyncTime = Date.now();
+      jsonClients.emit("puckSync", {
+        seq,
+        ...puckSyncData(match.gameState),
+        timestamp: Date.now(),
+      });
+    }
   }
+}
 
-  // Применить правильные множители трения и сопротивления воздуха
-  const frictionFactor = Math.pow(FRICTION, deltaTime);
-  const airResistanceFactor = Math.pow(AIR_RESISTANCE, deltaTime);
+// Запустить игровой цикл для конкретного матча с высокой частотой обновления
+function startGameLoop(matchId) {
+  const match = matches.get(matchId);
+  if (!match) return;
 
-  // Обновить скорость с трением
-  gameState.puckVelocity.x *= frictionFactor * airResistanceFactor;
-  gameState.puckVelocity.y *= frictionFactor * airResistanceFactor;
+  // Очистить любой существующий интервал
+  if (match.updateInterval) {
+    clearInterval(match.updateInterval);
+  }
 
-  // Остановить очень медленное движение, чтобы предотвратить бесконечные мелкие движения
-  const currentSpeed = Math.sqrt(
-    gameState.puckVelocity.x * gameState.puckVelocity.x +
-      gameState.puckVelocity.y * gameState.puckVelocity.y
-  );
+  match.lastUpdateTime = Date.now();
 
-  if (currentSpeed < MIN_VELOCITY) {
-    gameState.puckVelocity.x = 0;
-    gameState.puckVelocity.y = 0;
+  // Настроить высокочастотный цикл обновления (~60 Гц)
+  match.updateInterval = setInterval(() => {
+    const iterationStart = process.hrtime.bigint();
+    updateMatchFrame(match);
+    recordTickDuration(iterationStart);
+  }, UPDATE_RATE);
+}
 
-    // Добавить в историю позиций для интерполяции
-    match.positionHistory.puck.push({
-      pos: { ...gameState.puckPos },
-      timestamp: now,
-    });
+// Остановить игровой цикл для матча
+function stopGameLoop(matchId) {
+  const match = matches.get(matchId);
+  if (match && match.updateInterval) {
+    clearInterval(match.updateInterval);
+    match.updateInterval = null;
+  }
+}
+
+// Сформировать матчи из очереди подбора и снять с очереди просроченные записи
+function processMatchmaking() {
+  const now = Date.now();
+
+  for (const entry of expireEntries(matchmakingQueue, now)) {
+    const socket = io.sockets.sockets.get(entry.id);
+    if (socket) {
+      socket.emit("findMatchTimeout", { waitTime: now - entry.joinedAt });
+    }
+  }
 
-    // Ограничить историю
-    if (match.positionHistory.puck.length > 10) {
-      match.positionHistory.puck.shift();
+  for (const pair of findPairs(matchmakingQueue, now)) {
+    // ID матча генерирует сервер, клиенты присоединяются к нему через joinMatch
+    const matchId = uuidv4();
+    const match = getOrCreateMatch(matchId, pair[0].rules || undefined);
+
+    for (const entry of pair) {
+      const socket = io.sockets.sockets.get(entry.id);
+      if (socket) {
+        socket.emit("matchFound", {
+          matchId,
+          waitTime: now - entry.joinedAt,
+          rules: match.rules,
+        });
+      }
     }
 
-    return false; // Нет необходимости продолжать обновление физики
+    // Удалить матч, если игроки так и не присоединились
+    scheduleMatchCleanup(matchId);
   }
+}
+
+setInterval(processMatchmaking, MATCHMAKING_INTERVAL);
 
-  // Вычислить новую позицию, используя текущую скорость
-  // Нормализуем для стабильного шага физики независимо от FPS
-  const stepFactor = deltaTime * 60; // Нормализация для 60 FPS
-  const newX = gameState.puckPos.x + gameState.puckVelocity.x * stepFactor;
-  const newY = gameState.puckPos.y + gameState.puckVelocity.y * stepFactor;
+// Насколько назад перемотать шайбу для движения игрока (мс)
+// Берется половина времени пинга, измеренного сервером: метке времени
+// клиента верить нельзя (ее можно подделать, а часы клиента могут спешить)
+function estimateRewindTime(latency) {
+  const rewind = Number.isFinite(latency) ? latency / 2 : 0;
+  return Math.max(0, Math.min(rewind, MAX_LAG_COMPENSATION));
+}
 
-  // Флаг обнаружения столкновения
-  let collisionOccurred = false;
+// Учесть отклоненное действие игрока и сообщить модерации
+// Игрокам матча о подозрениях не сообщается: уведомление cheatSuspected
+// получают подключенные к /admin, нарушения также видны в метриках,
+// журнале сервера и в сведениях о матче для администратора
+function flagSuspiciousAction(match, player, reason, details = {}) {
+  const now = Date.now();
 
-  // Проверить столкновения с игроками (сначала)
-  const player1Collision = checkPuckPlayerCollision(
-    { x: newX, y: newY },
-    gameState.player1Pos
-  );
+  player.violations[reason] = (player.violations[reason] || 0) + 1;
+  player.violationCount++;
+  incCounter(serverMetrics.cheatSuspicions, { reason });
+
+  // Ограничить частоту уведомлений, счетчики при этом продолжают расти
+  if (now - player.lastCheatReport < CHEAT_REPORT_INTERVAL) return;
+  player.lastCheatReport = now;
+
+  adminNamespace.emit("cheatSuspected", {
+    matchId: match.id,
+    playerNumber: player.number,
+    playerId: player.playerId,
+    reason,
+    details,
+    violations: player.violations,
+    violationCount: player.violationCount,
+    timestamp: now,
+  });
 
-  const player2Collision = checkPuckPlayerCollision(
-    { x: newX, y: newY },
-    gameState.player2Pos
+  console.log(
+    `Подозрительное действие в матче ${match.id}: игрок ${player.number} ` +
+      `(${player.playerId}), ${reason}, всего нарушений ` +
+      `${player.violationCount}: ${JSON.stringify(details)}`
   );
+}
 
-  if (player1Collision) {
-    handlePlayerCollision(match, 1);
-    collisionOccurred = true;
-  } else if (player2Collision) {
-    handlePlayerCollision(match, 2);
-    collisionOccurred = true;
-  } else {
-    // Обработать столкновения со стенами
-    const { width, height } = gameState.canvasSize;
-
-    // Сначала проверить столкновения с углами для специальной обработки
-    const isInCorner = checkCornerCollision(
-      newX,
-      newY,
-      PUCK_RADIUS,
-      width,
-      height
-    );
+// Сообщить комнате текущее число зрителей
+function notifySpectatorsCount(match) {
+  io.to(match.id).emit("spectatorsUpdate", {
+    spectatorsCount: match.spectators.length,
+  });
+}
 
-    if (isInCorner.collision) {
-      handleCornerCollision(match, isInCorner.corner);
-      collisionOccurred = true;
-    } else {
-      // Обработка столкновений с боковыми стенками
+// Посадить серверного бота на свободное место матча
+function addBotPlayer(match, level) {
+  const playerNumber = match.players.length + 1;
+
+  match.botMatch = true;
+  match.players.push({
+    id: `bot:${uuidv4()}`,
+    number: playerNumber,
+    // Бот всегда готов и никогда не отключается
+    ready: true,
+    latency: 0,
+    playerId: `bot:${level}`,
+    name: `Бот (${level})`,
+    guest: false,
+    connected: true,
+    violations: {},
+    violationCount: 0,
+    lastCheatReport: 0,
+    resumeToken: null,
+    reconnect: null,
+    mutedPlayers: [],
+    chatBucket: null,
+    bot: createBot(level, playerNumber),
+  });
 
-      // Левая стена
-      if (newX - PUCK_RADIUS < 0) {
-        gameState.puckPos.x = PUCK_RADIUS + 0.5; // Небольшой отступ от стены
-        gameState.puckVelocity.x =
-          -gameState.puckVelocity.x * BOARD_RESTITUTION;
+  io.to(match.id).emit("playerJoined", {
+    playerNumber,
+    playerId: `bot:${level}`,
+    name: `Бот (${level})`,
+    playersCount: match.players.length,
+    spectatorsCount: match.spectators.length,
+    bot: level,
+  });
 
-        // Сохранить минимальную скорость отскока
-        if (Math.abs(gameState.puckVelocity.x) < 2) {
-          gameState.puckVelocity.x = Math.sign(gameState.puckVelocity.x) * 2;
-        }
+  if (match.players.length === 2) {
+    io.to(match.id).emit("matchReady", {
+      rules: match.rules,
+      table: describeMatchTable(match),
+    });
+  }
+}
 
-        collisionOccurred = true;
-      }
-      // Правая стена
-      else if (newX + PUCK_RADIUS > width) {
-        gameState.puckPos.x = width - PUCK_RADIUS - 0.5;
-        gameState.puckVelocity.x =
-          -gameState.puckVelocity.x * BOARD_RESTITUTION;
+// Передвинуть биты ботов через те же ограничения и физику, что и биты игроков
+function driveBots(match, now) {
+  const { canvasSize } = match.gameState;
 
-        if (Math.abs(gameState.puckVelocity.x) < 2) {
-          gameState.puckVelocity.x = Math.sign(gameState.puckVelocity.x) * 2;
-        }
+  for (const player of match.players) {
+    if (!player.bot) continue;
+    if (match.simulation.modifiers.frozen[player.number]) continue;
 
-        collisionOccurred = true;
-      }
-      // Иначе обновить позицию X как обычно
-      else {
-        gameState.puckPos.x = newX;
-      }
+    const position = updateBot(
+      player.bot,
+      match.gameState,
+      match.simulation.physics,
+      now
+    );
+    const constrainedPosition = enforcePlayerConstraints(
+      canvasSize,
+      player.number,
+      position,
+      malletRadius(match.simulation, player.number)
+    );
+    setMalletPosition(match.simulation, player.number, constrainedPosition);
 
-      // Верхняя стена/ворота
-      if (newY - PUCK_RADIUS < 0) {
-        // Проверить, находится ли в зоне ворот
-        if (
-          newX > (width - GOAL_WIDTH) / 2 &&
-          newX < (width + GOAL_WIDTH) / 2
-        ) {
-          // Гол забит игроком 1
-          if (!match.goalCooldown && gameState.puckVelocity.y < 0) {
-            handleGoal(match, 1);
-            return true; // Гол забит, не продолжать физику
-          } else {
-            // Просто отскок, если это не действительный гол
-            gameState.puckPos.y = PUCK_RADIUS + 0.5;
-            gameState.puckVelocity.y =
-              -gameState.puckVelocity.y * BOARD_RESTITUTION;
-            collisionOccurred = true;
-          }
-        } else {
-          // Обычный отскок от стены
-          gameState.puckPos.y = PUCK_RADIUS + 0.5;
-          gameState.puckVelocity.y =
-            -gameState.puckVelocity.y * BOARD_RESTITUTION;
-
-          if (Math.abs(gameState.puckVelocity.y) < 2) {
-            gameState.puckVelocity.y = Math.sign(gameState.puckVelocity.y) * 2;
-          }
+    // Клиенты видят бота так же, как соперника-человека
+    io.to(match.id).emit("opponentMove", {
+      playerNumber: player.number,
+      position: normalizePoint(constrainedPosition, canvasSize),
+      timestamp: now,
+      velocity: normalizePoint(player.bot.velocity, canvasSize),
+    });
+  }
+}
 
-          collisionOccurred = true;
-        }
-      }
-      // Нижняя стена/ворота
-      else if (newY + PUCK_RADIUS > height) {
-        // Проверить, находится ли в зоне ворот
-        if (
-          newX > (width - GOAL_WIDTH) / 2 &&
-          newX < (width + GOAL_WIDTH) / 2
-        ) {
-          // Гол забит игроком 2
-          if (!match.goalCooldown && gameState.puckVelocity.y > 0) {
-            handleGoal(match, 2);
-            return true; // Гол забит, не продолжать физику
-          } else {
-            // Просто отскок, если это не действительный гол
-            gameState.puckPos.y = height - PUCK_RADIUS - 0.5;
-            gameState.puckVelocity.y =
-              -gameState.puckVelocity.y * BOARD_RESTITUTION;
-            collisionOccurred = true;
-          }
-        } else {
-          // Обычный отскок от стены
-          gameState.puckPos.y = height - PUCK_RADIUS - 0.5;
-          gameState.puckVelocity.y =
-            -gameState.puckVelocity.y * BOARD_RESTITUTION;
-
-          if (Math.abs(gameState.puckVelocity.y) < 2) {
-            gameState.puckVelocity.y = Math.sign(gameState.puckVelocity.y) * 2;
-          }
+// Бот не остается в матче без людей
+function removeLonelyBots(match) {
+  if (!match.players.some(p => !p.bot)) {
+    match.players = [];
+  }
+}
 
-          collisionOccurred = true;
-        }
-      }
-      // Иначе обновить позицию Y как обычно
-      else {
-        gameState.puckPos.y = newY;
-      }
+// Удалить матч без игроков через некоторое время
+function scheduleMatchCleanup(matchId) {
+  setTimeout(() => {
+    if (matches.get(matchId) && matches.get(matchId).players.length === 0) {
+      matches.delete(matchId);
+      matchRegistry.release(matchId);
+      console.log(`Матч ${matchId} удален из-за отсутствия игроков`);
     }
-  }
+  }, MATCH_CLEANUP_DELAY);
+}
 
-  // Ограничить скорость после столкновений
-  if (collisionOccurred) {
-    const speed = Math.sqrt(
-      gameState.puckVelocity.x * gameState.puckVelocity.x +
-        gameState.puckVelocity.y * gameState.puckVelocity.y
-    );
+// Поставить матч на паузу и ждать переподключения игрока с обратным отсчетом
+function waitForReconnect(match, player) {
+  const deadline = Date.now() + RECONNECT_GRACE_PERIOD;
 
-    if (speed > MAX_SPEED) {
-      const scaleFactor = MAX_SPEED / speed;
-      gameState.puckVelocity.x *= scaleFactor;
-      gameState.puckVelocity.y *= scaleFactor;
-    }
-  }
+  // Предложения, пауза и отсчет отменяются; после переподключения
+  // игра продолжится сразу
+  clearMatchTimers(match);
 
-  // Добавить в историю позиций для интерполяции
-  match.positionHistory.puck.push({
-    pos: { ...gameState.puckPos },
-    timestamp: now,
-  });
+  player.connected = false;
+  match.paused = true;
+  match.gameState.isPlaying = false;
+  stopGameLoop(match.id);
 
-  // Ограничить историю
-  if (match.positionHistory.puck.length > 10) {
-    match.positionHistory.puck.shift();
-  }
+  const notifyCountdown = () => {
+    io.to(match.id).emit("playerDisconnected", {
+      playerNumber: player.number,
+      remaining: Math.max(0, Math.ceil((deadline - Date.now()) / 1000)),
+      gracePeriod: RECONNECT_GRACE_PERIOD,
+    });
+  };
 
-  return collisionOccurred;
+  notifyCountdown();
+  player.reconnect = {
+    deadline,
+    countdown: setInterval(notifyCountdown, 1000),
+    timer: setTimeout(
+      () => forfeitMatch(match, player.number),
+      RECONNECT_GRACE_PERIOD
+    ),
+  };
 }
 
-// Проверка столкновений с углами
-function checkCornerCollision(x, y, radius, width, height) {
-  const corners = [
-    { x: 0, y: 0, name: "topLeft" },
-    { x: width, y: 0, name: "topRight" },
-    { x: 0, y: height, name: "bottomLeft" },
-    { x: width, y: height, name: "bottomRight" },
-  ];
+// Отменить ожидание переподключения игрока
+function clearReconnect(player) {
+  if (!player.reconnect) return;
 
-  for (const corner of corners) {
-    const dx = x - corner.x;
-    const dy = y - corner.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+  clearInterval(player.reconnect.countdown);
+  clearTimeout(player.reconnect.timer);
+  player.reconnect = null;
+}
 
-    if (distance < radius) {
-      return { collision: true, corner: corner.name };
-    }
-  }
+// Возобновить матч, когда все игроки снова на связи
+function resumeAfterReconnect(match) {
+  if (match.players.some(p => !p.connected)) return;
+
+  match.paused = false;
+  if (match.gameState.gameOver) return;
 
-  return { collision: false };
+  match.goalCooldown = false;
+  match.gameState.isPlaying = true;
+  startGameLoop(match.id);
+
+  recordMatchEvent(match, "resume", { gameState: match.gameState });
+  io.to(match.id).emit("resumeGame", normalizeState(match.gameState));
 }
 
-// Улучшенная обработка столкновений с углами
-function handleCornerCollision(match, cornerName) {
+// Завершить матч техническим поражением не вернувшегося игрока
+// details - дополнительные поля события gameOver
+function forfeitMatch(match, loserNumber, details = {}) {
   const { gameState } = match;
-  const { width, height } = gameState.canvasSize;
 
-  // Определить позицию угла
-  let cornerX, cornerY;
-
-  switch (cornerName) {
-    case "topLeft":
-      cornerX = 0;
-      cornerY = 0;
-      break;
-    case "topRight":
-      cornerX = width;
-      cornerY = 0;
-      break;
-    case "bottomLeft":
-      cornerX = 0;
-      cornerY = height;
-      break;
-    case "bottomRight":
-      cornerX = width;
-      cornerY = height;
-      break;
-    default:
-      return; // Неверное имя угла
-  }
+  match.players.forEach(clearReconnect);
+  match.paused = false;
 
-  // Вектор от угла к шайбе (нормальное направление)
-  const dx = gameState.puckPos.x - cornerX;
-  const dy = gameState.puckPos.y - cornerY;
-  const distance = Math.sqrt(dx * dx + dy * dy);
+  gameState.gameOver = true;
+  gameState.isPlaying = false;
+  gameState.winner = loserNumber === 1 ? 2 : 1;
 
-  // Нормализованный нормальный вектор
-  const nx = dx / distance;
-  const ny = dy / distance;
+  // Отключившиеся игроки больше не занимают места в матче
+  match.players = match.players.filter(p => p.connected);
+  removeLonelyBots(match);
+  stopGameLoop(match.id);
 
-  // Переместить шайбу от угла на радиус + небольшой буфер
-  gameState.puckPos.x = cornerX + nx * (PUCK_RADIUS + 0.5);
-  gameState.puckPos.y = cornerY + ny * (PUCK_RADIUS + 0.5);
+  finishMatch(match, { forfeit: true, forfeitedBy: loserNumber, ...details });
 
-  // Вычислить скалярное произведение (проекция скорости на нормаль)
-  const dotProduct =
-    gameState.puckVelocity.x * nx + gameState.puckVelocity.y * ny;
+  if (match.players.length === 0) {
+    scheduleMatchCleanup(match.id);
+  }
+}
 
-  // Вычислить компоненты скорости вдоль нормали
-  const vnx = dotProduct * nx;
-  const vny = dotProduct * ny;
+// Завершить матч по решению администратора
+function endMatchByAdmin(match, winner, reason) {
+  const { gameState } = match;
 
-  // Вычислить тангенциальные компоненты (перпендикулярные нормали)
-  const vtx = gameState.puckVelocity.x - vnx;
-  const vty = gameState.puckVelocity.y - vny;
+  match.players.forEach(clearReconnect);
+  match.paused = false;
+  stopGameLoop(match.id);
 
-  // Новая скорость: сохранить тангенциальную компоненту, отразить нормальную компоненту
-  const CORNER_ELASTICITY = 0.85; // Высокая эластичность для более плавных отскоков
-  gameState.puckVelocity.x = vtx - vnx * CORNER_ELASTICITY;
-  gameState.puckVelocity.y = vty - vny * CORNER_ELASTICITY;
+  gameState.gameOver = true;
+  gameState.isPlaying = false;
+  gameState.winner = winner;
 
-  // Добавить небольшой случайный фактор для реалистичности
-  const randomFactor = 1 + (Math.random() * 0.05 - 0.025); // Уменьшенная случайность ±2.5%
-  gameState.puckVelocity.x *= randomFactor;
-  gameState.puckVelocity.y *= randomFactor;
+  finishMatch(match, { reason: "admin", message: reason });
 }
 
-// Улучшенная обработка забитых голов
-function handleGoal(match, scorer) {
-  // Предотвратить забивание нескольких голов в быстрой последовательности
-  const now = Date.now();
-  if (now - match.lastGoalTime < 2000 || match.goalCooldown) {
-    return false;
+// Удалить игрока из матча по решению администратора
+// Игрок получает kicked и остается подключенным, но покидает комнату матча
+function kickPlayer(match, player, reason) {
+  const socket = io.sockets.sockets.get(player.id);
+  if (socket) {
+    socket.emit("kicked", { matchId: match.id, reason });
+    socket.leave(match.id);
+    socket.leave(binaryRoom(match.id));
+    socket.matchId = null;
+    socket.playerNumber = null;
   }
 
-  // Установить время охлаждения и временные метки
-  match.lastGoalTime = now;
-  match.goalCooldown = true;
-
-  // Временно остановить игру
-  match.gameState.isPlaying = false;
+  clearReconnect(player);
 
-  // Обновить счет для забившего игрока
-  if (scorer === 1) {
-    match.gameState.player1Score++;
-  } else if (scorer === 2) {
-    match.gameState.player2Score++;
+  // Идущий матч засчитывается удаленному игроку как техническое поражение
+  if (match.started && !match.gameState.gameOver) {
+    player.connected = false;
+    forfeitMatch(match, player.number, { kicked: true });
+    return;
   }
 
-  // Проверить, окончена ли игра
-  const isGameOver = checkGameOver(match);
-
-  // Сбросить позиции и остановить шайбу
-  resetPositions(match);
+  match.players.splice(match.players.indexOf(player), 1);
+  removeLonelyBots(match);
+  stopGameLoop(match.id);
 
-  // Отправить обновление счета клиентам с точными позициями
-  io.to(match.id).emit("scoreUpdate", {
-    player1Score: match.gameState.player1Score,
-    player2Score: match.gameState.player2Score,
-    gameState: match.gameState, // Отправляем копию без потери точности
-    scorer,
+  io.to(match.id).emit("playerLeft", {
+    playerNumber: player.number,
+    playersCount: match.players.length,
+    kicked: true,
   });
 
-  if (isGameOver) {
-    // Отправить уведомление об окончании игры
-    io.to(match.id).emit("gameOver", {
-      winner: match.gameState.winner,
-      player1Score: match.gameState.player1Score,
-      player2Score: match.gameState.player2Score,
-    });
-  } else {
-    // Возобновить игру после задержки, если игра не окончена
-    setTimeout(() => {
-      if (match && !match.gameState.gameOver) {
-        match.gameState.isPlaying = true;
-        match.goalCooldown = false; // Очистить время охлаждения
-
-        // Убедиться, что шайба находится точно в центре с нулевой скоростью
-        const { width, height } = match.gameState.canvasSize;
-        match.gameState.puckPos = {
-          x: width / 2,
-          y: height / 2,
-        };
-        match.gameState.puckVelocity = { x: 0, y: 0 };
+  if (match.players.length === 0) {
+    scheduleMatchCleanup(match.id);
+  }
+}
 
-        // Очистить историю позиций для чистого старта
-        match.positionHistory = {
-          puck: [
-            {
-              pos: { x: width / 2, y: height / 2 },
-              timestamp: Date.now(),
-            },
-          ],
-          player1: [],
-          player2: [],
-        };
+// Подключение без действительного токена игрока отклоняется
+// (или получает гостевую личность, если гостевой режим включен)
+io.use(
+  createAuthMiddleware({
+    secret: AUTH_SECRET,
+    guestMode: config.auth.guestMode,
+    guestTokenTtl: config.auth.guestTokenTtl,
+  })
+);
 
-        // Сообщить клиентам о возобновлении игры с точными данными
-        io.to(match.id).emit("resumeGame", match.gameState);
-      }
-    }, 3000);
-  }
+// Обработчик WebSocket соединений
+io.on("connection", socket => {
+  console.log("Новое соединение:", socket.id, socket.user.userId);
+
+  // Сообщить клиенту его личность; гость получает токен, чтобы сохранить
+  // личность при переподключении
+  socket.emit("session", {
+    userId: socket.user.userId,
+    name: socket.user.name,
+    guest: socket.user.guest,
+    token: socket.user.token || null,
+    expiresAt: socket.user.expiresAt || null,
+  });
 
-  return true;
-}
+  // Учет исходящих сообщений для метрик, включая рассылки комнатам
+  socket.onAnyOutgoing((event, ...args) => countOutgoingMessage(event, args));
 
-// Запустить игровой цикл для конкретного матча с высокой частотой обновления
-function startGameLoop(matchId) {
-  const match = matches.get(matchId);
-  if (!match) return;
+  // Каждое входящее событие проверяется по схеме и лимиту частоты;
+  // отклоненное событие не доходит до обработчика
+  const guard = createGuard({
+    limits: config.rateLimit.events,
+    maxViolations: config.rateLimit.maxViolations,
+    violationWindow: config.rateLimit.violationWindow,
+  });
+  socket.use((packet, next) => {
+    // События, пришедшие вслед за отключением, уже не учитываются
+    if (socket.disconnected) return;
+
+    // Обработчик получит аргументы в обычном виде: данные, затем ack
+    const [event, ...rawArgs] = packet;
+    const { payload, ack: callback, args } = normalizeEventArgs(event, rawArgs);
+    packet.splice(1, packet.length - 1, ...args);
+    const now = Date.now();
 
-  // Очистить любой существующий интервал
-  if (match.updateInterval) {
-    clearInterval(match.updateInterval);
-  }
+    const rejection = checkEvent(guard, event, payload, now, callback);
+    if (!rejection) return next();
 
-  // Настроить высокочастотный цикл обновления (~60 Гц)
-  match.updateInterval = setInterval(() => {
-    if (
-      match.gameState.isPlaying &&
-      match.players.length === 2 &&
-      !match.gameState.gameOver
-    ) {
-      // Обновить физику
-      const collisionOccurred = updatePuckPhysics(match);
-
-      // Использовать интерполяцию для более плавного движения шайбы
-      let interpolatedPuckData = { ...match.gameState.puckPos };
-
-      // Применить предсказание движения на основе текущей скорости
-      // для компенсации сетевой задержки
-      if (
-        match.gameState.puckVelocity.x !== 0 ||
-        match.gameState.puckVelocity.y !== 0
-      ) {
-        interpolatedPuckData = {
-          x: match.gameState.puckPos.x + match.gameState.puckVelocity.x * 0.05, // Предсказание на 50 мс вперед
-          y: match.gameState.puckPos.y + match.gameState.puckVelocity.y * 0.05,
-        };
-      }
+    // Имена неизвестных событий не попадают в метки метрик
+    const knownEvent = Object.prototype.hasOwnProperty.call(
+      EVENT_SCHEMAS,
+      event
+    );
+    incCounter(serverMetrics.rejectedEvents, {
+      event: knownEvent ? event : "unknown",
+      reason: rejection.code,
+    });
+    socket.emit("error", { event, ...rejection });
+    if (typeof callback === "function") {
+      callback({ success: false, error: rejection.message });
+    }
 
-      // Отправить компактное обновление клиентам с высокой точностью данных
-      const updateData = {
-        p: interpolatedPuckData, // Отправляем плавающие точки без округления
-        v: match.gameState.puckVelocity, // Также отправляем точные значения скорости
-        t: Date.now(), // Временная метка для интерполяции клиента
-        // Добавить флаги для клиентской интерполяции
-        interp: true,
-        collision: collisionOccurred,
-      };
+    if (recordViolation(guard, now)) {
+      incCounter(serverMetrics.guardDisconnects);
+      socket.emit("error", {
+        code: "tooManyViolations",
+        message: "Слишком много некорректных событий, соединение закрыто",
+      });
+      console.log(`Сокет ${socket.id} отключен за повторные нарушения`);
+      socket.disconnect(true);
+    }
+  });
 
-      io.to(matchId).emit("gameUpdate", updateData);
+  // Клиент выбирает бинарный протокол снимков при подключении,
+  // остальные получают прежние JSON-сообщения
+  const handshakeAuth = socket.handshake.auth || {};
+  socket.binaryProtocol =
+    handshakeAuth.protocol === "binary" ||
+    socket.handshake.query.protocol === "binary";
+  if (socket.binaryProtocol) {
+    socket.emit("protocolInfo", describeProtocol());
+  }
 
-      // Отправить полную синхронизацию при столкновении или периодически
-      // с увеличенной частотой для лучшей согласованности
-      if (collisionOccurred || Date.now() - match.lastSyncTime > 500) {
-        // Каждые 500 мс вместо 1000 мс
-        match.lastSyncTime = Date.now();
-        io.to(matchId).emit("puckSync", {
-          puckPos: match.gameState.puckPos,
-          puckVelocity: match.gameState.puckVelocity,
-          timestamp: Date.now(),
-        });
-      }
+  // Войти в комнату матча; бинарные клиенты начинают с полного снимка
+  function joinMatchRoom(matchId) {
+    socket.join(matchId);
+    if (socket.binaryProtocol) {
+      socket.join(binaryRoom(matchId));
+      socket.snapshotChannel = createSnapshotChannel();
     }
-  }, UPDATE_RATE);
-}
+  }
+
+  // Стол, который видит клиент: стол его матча или классический вне матча
+  function currentTable() {
+    const match = socket.matchId && matches.get(socket.matchId);
+    return match ? describeMatchTable(match) : describeTable();
+  }
+
+  // Размер экрана клиента: сервер вписывает в него логический стол
+  function applyViewport(viewport) {
+    const table = currentTable();
+    const render = fitViewport(viewport, table);
+    if (!render) return null;
 
-// Остановить игровой цикл для матча
-function stopGameLoop(matchId) {
-  const match = matches.get(matchId);
-  if (match && match.updateInterval) {
-    clearInterval(match.updateInterval);
-    match.updateInterval = null;
+    socket.viewport = render;
+    socket.emit("viewportInfo", { table, ...render });
+    return render;
   }
-}
 
-// Обработчик WebSocket соединений
-io.on("connection", socket => {
-  console.log("Новое соединение:", socket.id);
+  // Клиент сообщает новый размер экрана (например, при повороте телефона)
+  socket.on("setViewport", (viewport, callback) => {
+    const render = applyViewport(viewport);
+    if (typeof callback === "function") {
+      callback(
+        render
+          ? { success: true, table: currentTable(), ...render }
+          : { success: false, error: "Некорректный размер экрана" }
+      );
+    }
+  });
+
+  // Подтверждение снимка: следующие дельты строятся от него
+  socket.on("snapshotAck", ({ seq } = {}) => {
+    if (socket.snapshotChannel) {
+      ackSnapshot(socket.snapshotChannel, seq);
+    }
+  });
 
   // Измерение и установка задержки соединения
   let pingStartTime = 0;
@@ -818,30 +2216,255 @@ io.on("connection", socket => {
   socket.on("pong", () => {
     const latency = Date.now() - pingStartTime;
     socket.latency = latency; // Сохранить задержку для этого клиента
+
+    const match = socket.matchId && matches.get(socket.matchId);
+    const player = match && match.players.find(p => p.id === socket.id);
+    if (player) {
+      player.latency = latency;
+      observeSummary(serverMetrics.latency, latency);
+    }
+
     socket.emit("latencyUpdate", { latency });
   });
 
-  // Присоединиться к существующему матчу
-  socket.on("joinMatch", ({ matchId }, callback) => {
+  // Встать в очередь подбора соперника
+  socket.on("findMatch", ({ skill, rules } = {}, callback) => {
+    const currentMatch = socket.matchId && matches.get(socket.matchId);
+    if (currentMatch && !currentMatch.gameState.gameOver) {
+      return callback({ success: false, error: "Вы уже участвуете в матче" });
+    }
+
+    const resolved = resolveRules(rules, ARENAS);
+    if (resolved.error) {
+      return callback({ success: false, error: resolved.error });
+    }
+
+    // Без явного уровня игрока подбирать по его рейтингу Эло
+    const playerSkill = Number.isFinite(skill)
+      ? skill
+      : getRating(historyStore, socket.user.userId);
+
+    if (
+      !enqueue(
+        matchmakingQueue,
+        { id: socket.id, skill: playerSkill, rules: resolved.rules },
+        Date.now()
+      )
+    ) {
+      return callback({ success: false, error: "Вы уже в очереди" });
+    }
+
+    callback({
+      success: true,
+      queueLength: matchmakingQueue.entries.length,
+    });
+
+    // Попробовать подобрать пару сразу, не дожидаясь интервала
+    processMatchmaking();
+  });
+
+  // Покинуть очередь подбора
+  socket.on("cancelFind", callback => {
+    const removed = removeFromQueue(matchmakingQueue, socket.id);
+    if (typeof callback === "function") {
+      callback({ success: removed });
+    }
+  });
+
+  // Записаться на турнир; уже записанный участник просто снова
+  // подписывается на обновления сетки (например, после переподключения)
+  socket.on("joinTournament", ({ tournamentId }, callback) => {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament) {
+      return callback({ success: false, error: "Турнир не найден" });
+    }
+
+    const registered = tournament.players.some(
+      p => p.playerId === socket.user.userId
+    );
+    if (!registered) {
+      const { error } = registerPlayer(tournament, {
+        playerId: socket.user.userId,
+        name: socket.user.name,
+        rating: getRating(historyStore, socket.user.userId),
+      });
+      if (error) {
+        return callback({ success: false, error });
+      }
+    }
+
+    socket.join(tournamentRoom(tournamentId));
+    callback({ success: true, tournament: describeTournament(tournament) });
+    if (!registered) {
+      notifyTournament(tournament);
+    }
+  });
+
+  // Отменить запись на турнир до его начала
+  socket.on("leaveTournament", ({ tournamentId }, callback = () => {}) => {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament) {
+      return callback({ success: false, error: "Турнир не найден" });
+    }
+
+    if (!unregisterPlayer(tournament, socket.user.userId)) {
+      return callback({
+        success: false,
+        error: "Нельзя отменить запись на начатый турнир",
+      });
+    }
+
+    socket.leave(tournamentRoom(tournamentId));
+    callback({ success: true });
+    notifyTournament(tournament);
+  });
+
+  // Перестать наблюдать за матчем, если сокет был зрителем
+  function stopSpectating() {
+    if (!socket.isSpectator) return;
+
+    const match = matches.get(socket.matchId);
+    if (match) {
+      match.spectators = match.spectators.filter(id => id !== socket.id);
+      socket.leave(match.id);
+      socket.leave(binaryRoom(match.id));
+      notifySpectatorsCount(match);
+    }
+    socket.matchId = null;
+    socket.isSpectator = false;
+  }
+
+  // Присоединиться к матчу зрителем (только чтение)
+  function joinAsSpectator(matchId, callback) {
+    const match = matches.get(matchId);
+    if (!match) {
+      return rejectJoin(callback, "matchNotFound", {
+        error: "Матч не найден",
+      });
+    }
+
+    // Игрок идущего матча не может стать зрителем: его место осталось бы
+    // без обработки разрыва и возврата, а движения бы игнорировались
+    const { match: playerMatch } = currentPlayer();
+    if (playerMatch && !playerMatch.gameState.gameOver) {
+      return rejectJoin(callback, "alreadyPlaying", {
+        error: "Вы уже участвуете в матче",
+      });
+    }
+
+    if (socket.matchId !== matchId) {
+      stopSpectating();
+    }
+    if (!match.spectators.includes(socket.id)) {
+      match.spectators.push(socket.id);
+    }
+
+    // Зритель получает все трансляции комнаты, включая движения обеих бит
+    joinMatchRoom(matchId);
+    socket.matchId = matchId;
+    socket.isSpectator = true;
+
+    callback({
+      success: true,
+      role: "spectator",
+      playersCount: match.players.length,
+      spectatorsCount: match.spectators.length,
+      gameState: normalizeState(match.gameState),
+    });
+
+    socket.emit("chatHistory", { messages: recentChat(match.chat) });
+    syncPowerUps(socket, match);
+    notifySpectatorsCount(match);
+  }
+
+  // Наблюдать за матчем
+  socket.on("watchMatch", ({ matchId }, callback) => {
+    joinAsSpectator(matchId, callback);
+  });
+
+  // Занять свободное место игрока в матче (создав матч при необходимости)
+  function joinAsPlayer(matchId, { rules }, callback) {
+    // Правила задает создатель матча, у существующего матча они не меняются
+    let matchRules;
+    if (!matches.has(matchId)) {
+      // Матч встречи турнира создает только сетка: по ID сыгранной или еще
+      // не готовой встречи нельзя открыть обычный матч
+      const pairing = findTournamentPairing(matchId);
+      if (pairing) {
+        rejectJoin(callback, "pairingClosed", {
+          error:
+            pairing.status === "finished"
+              ? "Встреча турнира уже сыграна"
+              : "Встреча турнира еще не готова",
+        });
+        return null;
+      }
+
+      const resolved = resolveRules(rules, ARENAS);
+      if (resolved.error) {
+        rejectJoin(callback, "invalidRules", { error: resolved.error });
+        return null;
+      }
+      matchRules = resolved.rules;
+    }
+
     // Получить или создать матч
-    let match = getOrCreateMatch(matchId);
+    let match = getOrCreateMatch(matchId, matchRules);
+
+    // Матч турнира: места только у участников встречи
+    if (
+      match.allowedPlayers &&
+      !match.allowedPlayers.includes(socket.user.userId)
+    ) {
+      rejectJoin(callback, "notParticipant", {
+        error: "Матч турнира доступен только участникам встречи",
+      });
+      return null;
+    }
+
+    // Один игрок не может занять оба места; вернуться на свое место
+    // после разрыва можно по токену возврата
+    if (match.players.some(p => p.playerId === socket.user.userId)) {
+      rejectJoin(callback, "alreadySeated", {
+        error: "Вы уже занимаете место в этом матче",
+      });
+      return null;
+    }
 
     // Проверить, заполнен ли матч
     if (match.players.length >= 2) {
-      return callback({ success: false, error: "Матч полон" });
+      rejectJoin(callback, "matchFull", { error: "Матч полон" });
+      return null;
     }
 
     // Назначить номер игрока (1 или 2)
     const playerNumber = match.players.length + 1;
+    const playerResumeToken = uuidv4();
     match.players.push({
       id: socket.id,
       number: playerNumber,
       ready: false,
       latency: 0, // Начальная задержка
+      // Постоянный ID игрока из токена для истории и рейтинга
+      playerId: socket.user.userId,
+      name: socket.user.name,
+      guest: socket.user.guest,
+      connected: true,
+      // Отклоненные подозрительные действия игрока по причинам
+      violations: {},
+      violationCount: 0,
+      lastCheatReport: 0,
+      // Токен для возврата на свое место после разрыва соединения
+      resumeToken: playerResumeToken,
+      reconnect: null,
+      // Заглушенные игроком соперники (playerId) и лимит его сообщений
+      mutedPlayers: [],
+      chatBucket: null,
     });
 
-    // Присоединиться к комнате Socket.IO
-    socket.join(matchId);
+    // Присоединиться к комнате Socket.IO; зритель перестает наблюдать
+    stopSpectating();
+    joinMatchRoom(matchId);
     socket.matchId = matchId;
     socket.playerNumber = playerNumber;
 
@@ -850,27 +2473,142 @@ io.on("connection", socket => {
       success: true,
       playerNumber,
       playersCount: match.players.length,
+      resumeToken: playerResumeToken,
+      rules: match.rules,
     });
 
     // Уведомить матч о новом игроке
     io.to(matchId).emit("playerJoined", {
       playerNumber,
+      playerId: socket.user.userId,
+      name: socket.user.name,
+      guest: socket.user.guest,
       playersCount: match.players.length,
+      spectatorsCount: match.spectators.length,
     });
 
     // Если матч полон, отправить событие готовности
     if (match.players.length === 2) {
-      io.to(matchId).emit("matchReady");
+      io.to(matchId).emit("matchReady", {
+        rules: match.rules,
+        table: describeMatchTable(match),
+      });
     }
 
     // Отправить начальный пинг
     sendPing();
+    return match;
+  }
+
+  // Сыграть против серверного бота: он занимает место игрока 2
+  socket.on("playVsBot", ({ difficulty = "medium", rules } = {}, callback) => {
+    if (!Object.prototype.hasOwnProperty.call(BOT_LEVELS, difficulty)) {
+      return callback({
+        success: false,
+        error: "Неизвестный уровень сложности",
+      });
+    }
+
+    const currentMatch = socket.matchId && matches.get(socket.matchId);
+    if (currentMatch && !currentMatch.gameState.gameOver) {
+      return callback({ success: false, error: "Вы уже участвуете в матче" });
+    }
+
+    // Игрок, ждавший соперника, больше не нуждается в подборе
+    removeFromQueue(matchmakingQueue, socket.id);
+
+    const matchId = uuidv4();
+    const match = joinAsPlayer(matchId, { rules }, result =>
+      callback(result.success ? { ...result, matchId, difficulty } : result)
+    );
+    if (match) {
+      addBotPlayer(match, difficulty);
+    }
+  });
+
+  // Присоединиться к существующему матчу
+  socket.on("joinMatch", ({ matchId, resumeToken, role, rules }, callback) => {
+    if (role === "spectator") {
+      return joinAsSpectator(matchId, callback);
+    }
+
+    // Переподключение к идущему матчу по токену возобновления
+    // Вернуться на место может только тот же пользователь
+    if (resumeToken) {
+      const match = matches.get(matchId);
+      const player =
+        match &&
+        match.players.find(
+          p =>
+            p.resumeToken === resumeToken &&
+            !p.connected &&
+            p.playerId === socket.user.userId
+        );
+
+      if (!player) {
+        return rejectJoin(callback, "invalidResumeToken", {
+          error: "Недействительный токен возобновления",
+        });
+      }
+
+      clearReconnect(player);
+      player.id = socket.id;
+      player.connected = true;
+      player.ready = true;
+
+      stopSpectating();
+      joinMatchRoom(matchId);
+      socket.matchId = matchId;
+      socket.playerNumber = player.number;
+
+      // Вернуть прежний номер игрока и полный снимок состояния
+      callback({
+        success: true,
+        playerNumber: player.number,
+        playersCount: match.players.length,
+        resumeToken,
+        resumed: true,
+        gameState: normalizeState(match.gameState),
+      });
+
+      io.to(matchId).emit("playerReconnected", {
+        playerNumber: player.number,
+        playersCount: match.players.length,
+      });
+
+      socket.emit("chatHistory", {
+        messages: recentChat(match.chat, player.mutedPlayers),
+      });
+      syncPowerUps(socket, match);
+      resumeAfterReconnect(match);
+      sendPing();
+      return;
+    }
+
+    if (matches.has(matchId)) {
+      return joinAsPlayer(matchId, { rules }, callback);
+    }
+
+    // Матч другого процесса: клиент должен переподключиться с matchId
+    // в строке запроса, чтобы попасть в процесс-владелец
+    matchRegistry.lookup(matchId, owner => {
+      if (owner && owner !== matchRegistry.owner) {
+        return rejectJoin(callback, "otherWorker", {
+          error: "Матч обслуживается другим процессом",
+          reconnectWithMatchId: true,
+        });
+      }
+
+      joinAsPlayer(matchId, { rules }, callback);
+    });
   });
 
   // Обработчик готовности игрока
-  socket.on("playerReady", ({ canvasSize }) => {
+  // viewport - размер экрана клиента; canvasSize поддерживается для старых клиентов
+  socket.on("playerReady", ({ viewport, canvasSize } = {}) => {
     const matchId = socket.matchId;
-    if (!matchId) return;
+    // Зрители только наблюдают: их игровые события игнорируются
+    if (!matchId || socket.isSpectator) return;
 
     const match = matches.get(matchId);
     if (!match) return;
@@ -879,23 +2617,34 @@ io.on("connection", socket => {
     if (!player) return;
 
     player.ready = true;
+    applyViewport(viewport || canvasSize);
 
-    // Обновить размер холста, если это первый готовый игрок
-    if (!match.gameState.canvasSize.width) {
-      match.gameState.canvasSize = canvasSize;
-      resetPositions(match);
-    }
+    // Матч уже идет (например, после переподключения): повторный старт не нужен
+    if (match.started) return;
 
     // Проверить, все ли игроки готовы
     const allReady = match.players.every(p => p.ready);
     if (allReady && match.players.length === 2) {
+      match.started = true;
+      match.startedAt = Date.now();
+      match.participants = match.players.map(p => ({
+        number: p.number,
+        playerId: p.playerId,
+        name: p.name,
+      }));
+      match.recording = createRecording({
+        matchId,
+        seed: match.seed,
+        gameState: match.gameState,
+        startTime: match.startedAt,
+      });
       match.gameState.isPlaying = true;
 
       // Запустить игровой цикл
       startGameLoop(matchId);
 
       // Отправить начальное состояние игры
-      io.to(matchId).emit("gameStart", match.gameState);
+      io.to(matchId).emit("gameStart", normalizeState(match.gameState));
     }
   });
 
@@ -904,16 +2653,21 @@ io.on("connection", socket => {
   let movementBuffer = [];
   const MAX_BUFFER_SIZE = 5;
 
-  socket.on("playerMove", ({ position, timestamp }) => {
+  // position - нормализованные координаты биты
+  socket.on("playerMove", ({ position: normalizedPosition } = {}) => {
     const now = Date.now();
     const matchId = socket.matchId;
-    if (!matchId) return;
+    // Зрители только наблюдают: их игровые события игнорируются
+    if (!matchId || socket.isSpectator) return;
 
     const match = matches.get(matchId);
     if (!match || !match.gameState.isPlaying || match.gameState.gameOver)
       return;
 
     const playerNumber = socket.playerNumber;
+    const { canvasSize } = match.gameState;
+    const position = denormalizePoint(normalizedPosition, canvasSize);
+    if (!position) return;
 
     // Добавить в буфер движений
     movementBuffer.push({ position, timestamp: now });
@@ -951,17 +2705,50 @@ io.on("connection", socket => {
     if (now - lastMoveTime < throttleRate) return;
     lastMoveTime = now;
 
+    // Замороженная бонусом бита не двигается, сопернику нечего показывать
+    if (match.simulation.modifiers.frozen[playerNumber]) return;
+
     // Применить ограничения позиции
     const constrainedPosition = enforcePlayerConstraints(
-      match,
+      match.gameState.canvasSize,
       playerNumber,
-      position
+      position,
+      malletRadius(match.simulation, playerNumber)
     );
 
-    // Обновить позицию игрока
-    if (playerNumber === 1) {
-      match.gameState.player1Pos = constrainedPosition;
+    // Передать позицию биты в симуляцию: столкновение с шайбой
+    // будет обработано на ближайшем тике игрового цикла
+    setMalletPosition(match.simulation, playerNumber, constrainedPosition);
+
+    // Компенсация задержки: проверить удар по шайбе в том положении,
+    // в котором ее видел игрок, и перенести результат в настоящее
+    const rewindTicks = Math.round(
+      estimateRewindTime(socket.latency) / (TICK_DT * 1000)
+    );
+    const hitEvents = rewindMalletHit(
+      match.simulation,
+      playerNumber,
+      rewindTicks
+    );
 
+    if (hitEvents) {
+      countCollisions(hitEvents);
+      const goal = hitEvents.find(event => event.type === "goal");
+      if (goal) {
+        handleGoal(match, goal.scorer, goal.puckId);
+      } else {
+        // Немедленно отправить обновление шайбы всем клиентам
+        io.to(matchId).emit("puckSync", {
+          ...puckSyncData(match.gameState),
+          timestamp: now,
+          collision: true,
+          lagCompensated: true,
+        });
+      }
+    }
+
+    // Обновить историю позиций игрока
+    if (playerNumber === 1) {
       // Добавить в историю позиций
       match.positionHistory.player1.push({
         pos: { ...constrainedPosition },
@@ -973,8 +2760,6 @@ io.on("connection", socket => {
         match.positionHistory.player1.shift();
       }
     } else if (playerNumber === 2) {
-      match.gameState.player2Pos = constrainedPosition;
-
       // Добавить в историю позиций
       match.positionHistory.player2.push({
         pos: { ...constrainedPosition },
@@ -990,38 +2775,18 @@ io.on("connection", socket => {
     // Отправить обновление другому игроку с точными координатами
     socket.to(matchId).emit("opponentMove", {
       playerNumber,
-      position: constrainedPosition, // Отправляем оригинальные координаты без округления
+      position: normalizePoint(constrainedPosition, canvasSize), // Без округления
       timestamp: now,
       // Добавить информацию о скорости для предсказания на клиенте
-      velocity: calculateVelocity(
-        playerNumber === 1
-          ? match.positionHistory.player1
-          : match.positionHistory.player2
+      velocity: normalizePoint(
+        calculateVelocity(
+          playerNumber === 1
+            ? match.positionHistory.player1
+            : match.positionHistory.player2
+        ),
+        canvasSize
       ),
     });
-
-    // Пока соединение активно, проверим столкновение шайбы с игроком
-    if (match.gameState.isPlaying) {
-      const collision = checkPuckPlayerCollision(
-        match.gameState.puckPos,
-        constrainedPosition
-      );
-
-      if (collision) {
-        // Обработать столкновение
-        const collisionOccurred = handlePlayerCollision(match, playerNumber);
-
-        if (collisionOccurred) {
-          // Немедленно отправить обновление шайбы всем клиентам
-          io.to(matchId).emit("puckSync", {
-            puckPos: match.gameState.puckPos,
-            puckVelocity: match.gameState.puckVelocity,
-            timestamp: now,
-            collision: true,
-          });
-        }
-      }
-    }
   });
 
   // Вспомогательная функция для расчета скорости на основе истории позиций
@@ -1040,70 +2805,291 @@ io.on("connection", socket => {
     };
   }
 
-  // Обновление позиции шайбы с клиента (используется для корректировок)
-  socket.on("puckUpdate", ({ puckPos, puckVelocity, timestamp }) => {
+  // Позиция шайбы, которую видит клиент: проверяется античитом
+  socket.on("puckUpdate", correction => {
     const matchId = socket.matchId;
-    if (!matchId) return;
+    // Зрители только наблюдают: их игровые события игнорируются
+    if (!matchId || socket.isSpectator) return;
 
     const match = matches.get(matchId);
     if (!match || !match.gameState.isPlaying || match.gameState.gameOver)
       return;
 
-    // Проверка времени задержки обновления
+    const player = match.players.find(p => p.id === socket.id);
+    if (!player) return;
+
     const now = Date.now();
-    const updateAge = now - timestamp;
 
-    // Игнорировать устаревшие обновления (старше 200 мс)
-    if (updateAge > 200) return;
+    // Клиент присылает нормализованные координаты, проверка идет в логических
+    const { canvasSize } = match.gameState;
+    // Без puckId корректировка относится к первой шайбе
+    const { puckId = 1, puckPos, puckVelocity, timestamp } = correction || {};
+    const logicalCorrection = {
+      puckId,
+      puckPos: denormalizePoint(puckPos, canvasSize),
+      puckVelocity: denormalizePoint(puckVelocity, canvasSize),
+      timestamp,
+    };
 
-    // Для недавних обновлений применить плавное смешивание с серверным состоянием
-    const blendFactor = 0.3; // 30% от клиентского обновления, 70% от серверного состояния
+    // Состояние шайбы задает только серверная симуляция: корректировка
+    // клиента в него не попадает, невозможная отмечается как подозрительная
+    // Сдвиг часов клиента оценивается по его меткам времени
+    // и сохраняется после переподключения
+    if (!player.clockSync) {
+      player.clockSync = createClockSync();
+    }
+    const check = validatePuckCorrection(
+      logicalCorrection,
+      match.gameState,
+      { now, clock: player.clockSync, latency: socket.latency },
+      match.simulation.physics,
+      match.simulation.arena,
+      match.simulation.modifiers
+    );
+    if (!check.valid) {
+      flagSuspiciousAction(match, player, check.reason, check.details);
+    }
+  });
 
-    // Обновить позицию и скорость шайбы с применением смешивания
-    match.gameState.puckPos = {
-      x:
-        match.gameState.puckPos.x * (1 - blendFactor) + puckPos.x * blendFactor,
-      y:
-        match.gameState.puckPos.y * (1 - blendFactor) + puckPos.y * blendFactor,
-    };
+  // Игрок матча, отправивший событие (зрители только наблюдают)
+  function currentPlayer() {
+    const match = socket.matchId && matches.get(socket.matchId);
+    if (!match || socket.isSpectator) return {};
 
-    match.gameState.puckVelocity = {
-      x:
-        match.gameState.puckVelocity.x * (1 - blendFactor) +
-        puckVelocity.x * blendFactor,
-      y:
-        match.gameState.puckVelocity.y * (1 - blendFactor) +
-        puckVelocity.y * blendFactor,
-    };
+    const player = match.players.find(p => p.id === socket.id);
+    return player ? { match, player } : {};
+  }
 
-    // Синхронизация для других клиентов
-    socket.to(matchId).emit("puckSync", {
-      puckPos: match.gameState.puckPos,
-      puckVelocity: match.gameState.puckVelocity,
-      timestamp: now,
-      clientSync: true, // Флаг, что это синхронизация от клиента
+  // Предложить сопернику действие; оно выполнится только с его согласия
+  function propose(type, callback) {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const { match, player } = currentPlayer();
+    if (!player) {
+      return reply({ success: false, error: "Вы не участвуете в матче" });
+    }
+
+    const { proposal, error } = createProposal(match, player, type);
+    if (error) {
+      return reply({ success: false, error });
+    }
+
+    reply({
+      success: true,
+      proposalId: proposal.id,
+      expiresAt: proposal.expiresAt,
     });
+  }
+
+  socket.on("proposeReset", callback => propose("reset", callback));
+  socket.on("proposePause", callback => propose("pause", callback));
+  socket.on("proposeRematch", callback => propose("rematch", callback));
+  // Прежний мгновенный сброс теперь тоже требует согласия соперника
+  socket.on("requestReset", callback => propose("reset", callback));
+
+  // Ответить на предложение соперника
+  function respondToProposal(proposalId, accept, callback) {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const { match, player } = currentPlayer();
+    const proposal = match && match.proposal;
+    if (!proposal || proposal.id !== proposalId) {
+      return reply({ success: false, error: "Предложение не найдено" });
+    }
+    if (proposal.proposedBy === player.number) {
+      return reply({
+        success: false,
+        error: "Нельзя ответить на свое предложение",
+      });
+    }
+
+    reply({ success: true });
+    resolveProposal(match, accept ? "accepted" : "declined");
+  }
+
+  socket.on("acceptProposal", ({ proposalId }, callback) =>
+    respondToProposal(proposalId, true, callback)
+  );
+  socket.on("declineProposal", ({ proposalId }, callback) =>
+    respondToProposal(proposalId, false, callback)
+  );
+
+  // Закончить паузу по согласию: для продолжения согласие не нужно
+  socket.on("endPause", callback => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const { match } = currentPlayer();
+    if (!match || !match.pause) {
+      return reply({ success: false, error: "Игра не на паузе" });
+    }
+
+    reply({ success: true });
+    endPause(match);
   });
 
-  // Обработчик для сброса игры
-  socket.on("requestReset", () => {
-    const matchId = socket.matchId;
-    if (!matchId) return;
+  // Отправить в чат матча сообщение или эмоцию от имени игрока
+  function sendChat(entry, callback) {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const { match, player } = currentPlayer();
+    if (!player) {
+      return reply({ success: false, error: "Вы не участвуете в матче" });
+    }
 
-    const match = matches.get(matchId);
-    if (!match) return;
+    // Лимит на игрока сохраняется и после переподключения
+    const now = Date.now();
+    if (!player.chatBucket) {
+      player.chatBucket = createBucket(CHAT_LIMIT, now);
+    }
+    if (!takeToken(player.chatBucket, CHAT_LIMIT, now)) {
+      return reply({ success: false, error: "Слишком частые сообщения" });
+    }
+
+    const message = appendChat(match.chat, {
+      ...entry,
+      playerNumber: player.number,
+      playerId: player.playerId,
+      name: player.name,
+    });
+    broadcastChat(match, message);
+    reply({ success: true, message });
+  }
+
+  // Сообщение в чат матча
+  socket.on("chatMessage", ({ text }, callback) => {
+    const { text: clean, error } = sanitizeMessage(
+      text,
+      CHAT_MAX_MESSAGE_LENGTH
+    );
+    if (error) {
+      if (typeof callback === "function") callback({ success: false, error });
+      return;
+    }
+
+    const { text: filteredText, filtered } = applyWordFilter(chatFilter, clean);
+    sendChat({ type: "message", text: filteredText, filtered }, callback);
+  });
+
+  // Быстрая эмоция из набора сервера
+  socket.on("emote", ({ emote }, callback) => {
+    if (!EMOTES.includes(emote)) {
+      if (typeof callback === "function") {
+        callback({ success: false, error: "Неизвестная эмоция" });
+      }
+      return;
+    }
+
+    sendChat({ type: "emote", emote }, callback);
+  });
+
+  // Заглушить соперника (muted: false - снова слышать)
+  socket.on("muteOpponent", ({ muted = true } = {}, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const { match, player } = currentPlayer();
+    const opponent =
+      player && match.players.find(p => p.number !== player.number);
+    if (!opponent) {
+      return reply({ success: false, error: "Соперник не найден" });
+    }
+
+    player.mutedPlayers = player.mutedPlayers.filter(
+      id => id !== opponent.playerId
+    );
+    if (muted) {
+      player.mutedPlayers.push(opponent.playerId);
+    }
+    reply({ success: true, muted, playerNumber: opponent.number });
+  });
+
+  // Воспроизведение повтора только для этого клиента
+  let replayPlayback = null;
+
+  // Показать повтор матча теми же сообщениями, что и живую игру
+  socket.on("playReplay", ({ matchId, speed = 1 }, callback) => {
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      return callback({
+        success: false,
+        error: "Недопустимая скорость воспроизведения",
+      });
+    }
+
+    loadReplay(REPLAY_DIRECTORY, matchId, (error, replay) => {
+      if (error) {
+        return callback({ success: false, error: "Повтор не найден" });
+      }
 
-    // Полный сброс игры
-    resetGame(match);
+      stopPlayback(replayPlayback);
+      callback({ success: true, matchId, speed, duration: replay.duration });
+      // Повтор хранится в логических координатах стола своего матча
+      const table = replay.initialState.canvasSize;
+      const replayState = gameState => normalizeState(gameState, table);
+      socket.emit("gameStart", replayState(replay.initialState));
+
+      replayPlayback = createPlayback(replay, speed, {
+        onFrame: frame => {
+          const now = Date.now();
+          socket.emit("gameUpdate", {
+            pucks: frame.pucks.map(puck => ({
+              id: puck.id,
+              p: normalizePoint(puck.pos, table),
+              v: normalizePoint(puck.velocity, table),
+            })),
+            t: now,
+            interp: true,
+            collision: false,
+            replay: true,
+          });
+
+          // Позиции обеих бит в том же формате, что и движения соперника
+          [1, 2].forEach(playerNumber => {
+            socket.emit("opponentMove", {
+              playerNumber,
+              position: normalizePoint(
+                frame[`player${playerNumber}Pos`],
+                table
+              ),
+              timestamp: now,
+              velocity: { x: 0, y: 0 },
+            });
+          });
+        },
+        onEvent: ({ t, type, ...data }) => {
+          switch (type) {
+            case "goal":
+              socket.emit("scoreUpdate", {
+                ...data,
+                gameState: replayState(data.gameState),
+              });
+              break;
+            case "reset":
+              socket.emit("gameReset", replayState(data.gameState));
+              break;
+            case "resume":
+              socket.emit("resumeGame", replayState(data.gameState));
+              break;
+            case "gameOver":
+              socket.emit("gameOver", data);
+              break;
+          }
+        },
+        onEnd: () => {
+          replayPlayback = null;
+          socket.emit("replayEnd", { matchId });
+        },
+      });
+    });
+  });
 
-    // Уведомить всех игроков о сбросе
-    io.to(matchId).emit("gameReset", match.gameState);
+  // Остановить воспроизведение повтора
+  socket.on("stopReplay", () => {
+    stopPlayback(replayPlayback);
+    replayPlayback = null;
   });
 
   // Обработчик разрыва соединения
   socket.on("disconnect", () => {
     // Очистить интервал пинга
     clearInterval(pingInterval);
+    stopPlayback(replayPlayback);
+
+    // Покинуть очередь подбора, если игрок еще ждал соперника
+    removeFromQueue(matchmakingQueue, socket.id);
 
     const matchId = socket.matchId;
     if (!matchId) return;
@@ -1111,51 +3097,71 @@ io.on("connection", socket => {
     const match = matches.get(matchId);
     if (!match) return;
 
+    // Зритель просто покидает трансляцию
+    if (socket.isSpectator) {
+      match.spectators = match.spectators.filter(id => id !== socket.id);
+      notifySpectatorsCount(match);
+      return;
+    }
+
+    const player = match.players.find(p => p.id === socket.id);
+    if (!player) return;
+
+    // Матч в процессе: сохранить место игрока до истечения времени ожидания
+    if (match.started && !match.gameState.gameOver) {
+      waitForReconnect(match, player);
+      return;
+    }
+
     // Удалить игрока из матча
-    const playerIndex = match.players.findIndex(p => p.id === socket.id);
-    if (playerIndex !== -1) {
-      const leftPlayerNumber = match.players[playerIndex].number;
-      match.players.splice(playerIndex, 1);
+    match.players.splice(match.players.indexOf(player), 1);
+    removeLonelyBots(match);
+    if (match.proposal) {
+      resolveProposal(match, "cancelled");
+    }
 
-      // Остановить игровой цикл
-      stopGameLoop(matchId);
+    // Остановить игровой цикл
+    stopGameLoop(matchId);
 
-      // Уведомить оставшегося игрока
-      socket.to(matchId).emit("playerLeft", {
-        playerNumber: leftPlayerNumber,
-        playersCount: match.players.length,
-      });
+    // Уведомить оставшегося игрока
+    socket.to(matchId).emit("playerLeft", {
+      playerNumber: player.number,
+      playersCount: match.players.length,
+    });
 
-      // Если матч пуст, удалить его через некоторое время
-      if (match.players.length === 0) {
-        setTimeout(() => {
-          if (
-            matches.get(matchId) &&
-            matches.get(matchId).players.length === 0
-          ) {
-            matches.delete(matchId);
-            console.log(`Матч ${matchId} удален из-за отсутствия игроков`);
-          }
-        }, 30000); // 30 секунд ожидания перед удалением
-      }
+    // Если матч пуст, удалить его через некоторое время
+    if (match.players.length === 0) {
+      scheduleMatchCleanup(matchId);
     }
   });
 
   // Обработчик события забития гола
-  socket.on("goalScored", ({ scorer }) => {
+  // Голы определяет только серверная симуляция; заявка клиента
+  // не меняет счет и проверяется лишь для модерации
+  socket.on("goalScored", () => {
     const matchId = socket.matchId;
-    if (!matchId) return;
+    // Зрители только наблюдают: их игровые события игнорируются
+    if (!matchId || socket.isSpectator) return;
 
     const match = matches.get(matchId);
     if (!match || match.gameState.gameOver) return;
 
-    // Вызвать обработчик гола
-    handleGoal(match, scorer);
+    const player = match.players.find(p => p.id === socket.id);
+    if (!player) return;
+
+    if (Date.now() - match.lastGoalTime > GOAL_CLAIM_WINDOW) {
+      flagSuspiciousAction(match, player, "unconfirmedGoal");
+    }
   });
 });
 
-// Запуск сервера
-const PORT = 3002;
-server.listen(PORT, () => {
-  console.log(`Сервер запущен на порту ${PORT}`);
-});
+// Запуск сервера: в кластере соединения передает основной процесс (cluster.js)
+const PORT = config.server.port;
+if (cluster.isWorker) {
+  setupWorker(server, io);
+  console.log(`Рабочий процесс ${cluster.worker.id} готов`);
+} else {
+  server.listen(PORT, () => {
+    console.log(`Сервер запущен на порту ${PORT}`);
+  });
+}
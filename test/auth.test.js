@@ -0,0 +1,105 @@
+// Проверка токенов игроков (verifyToken)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { signToken, verifyToken, createGuestIdentity } = require("../lib/auth");
+
+const SECRET = "test-secret";
+const NOW = 1700000000000;
+const NOW_SECONDS = NOW / 1000;
+
+function token(payload, secret = SECRET) {
+  return signToken(
+    { sub: "user-1", exp: NOW_SECONDS + 3600, ...payload },
+    secret
+  );
+}
+
+test("действительный токен принимается", () => {
+  const { payload, error } = verifyToken(token({ name: "Аня" }), SECRET, NOW);
+
+  assert.equal(error, undefined);
+  assert.equal(payload.sub, "user-1");
+  assert.equal(payload.name, "Аня");
+});
+
+test("токен с чужой или измененной подписью отклоняется", () => {
+  assert.equal(
+    verifyToken(token({}, "other"), SECRET, NOW).error,
+    "Неверная подпись токена"
+  );
+
+  const [header, , signature] = token({}).split(".");
+  const forgedBody = Buffer.from(
+    JSON.stringify({ sub: "admin", exp: NOW_SECONDS + 3600 })
+  ).toString("base64url");
+  assert.equal(
+    verifyToken(`${header}.${forgedBody}.${signature}`, SECRET, NOW).error,
+    "Неверная подпись токена"
+  );
+});
+
+test("подменить алгоритм подписи нельзя", () => {
+  const header = Buffer.from(
+    JSON.stringify({ alg: "none", typ: "JWT" })
+  ).toString("base64url");
+  const [, body] = token({}).split(".");
+
+  assert.equal(
+    verifyToken(`${header}.${body}.`, SECRET, NOW).error,
+    "Неподдерживаемый алгоритм подписи"
+  );
+});
+
+test("токен без срока действия отклоняется", () => {
+  assert.equal(
+    verifyToken(token({ exp: undefined }), SECRET, NOW).error,
+    "В токене нет срока действия"
+  );
+  assert.equal(
+    verifyToken(token({ exp: "never" }), SECRET, NOW).error,
+    "В токене нет срока действия"
+  );
+});
+
+test("срок действия проверяется с допуском на расхождение часов", () => {
+  assert.equal(
+    verifyToken(token({ exp: NOW_SECONDS - 10 }), SECRET, NOW).error,
+    undefined
+  );
+  assert.equal(
+    verifyToken(token({ exp: NOW_SECONDS - 60 }), SECRET, NOW).error,
+    "Срок действия токена истек"
+  );
+  assert.equal(
+    verifyToken(token({ nbf: NOW_SECONDS + 60 }), SECRET, NOW).error,
+    "Токен еще не действует"
+  );
+});
+
+test("токен без идентификатора игрока отклоняется", () => {
+  assert.equal(
+    verifyToken(token({ sub: "" }), SECRET, NOW).error,
+    "В токене нет идентификатора игрока"
+  );
+});
+
+test("искаженный токен отклоняется", () => {
+  assert.equal(verifyToken(42, SECRET, NOW).error, "Токен должен быть строкой");
+  assert.equal(verifyToken("a.b", SECRET, NOW).error, "Неверный формат токена");
+  assert.equal(
+    verifyToken("a.b.c", SECRET, NOW).error,
+    "Неверный формат токена"
+  );
+});
+
+test("гостевой токен проходит проверку тем же секретом", () => {
+  const guest = createGuestIdentity(SECRET, 60, NOW);
+  const { payload } = verifyToken(guest.token, SECRET, NOW);
+
+  assert.equal(payload.sub, guest.userId);
+  assert.equal(payload.guest, true);
+  assert.equal(
+    verifyToken(guest.token, SECRET, NOW + 120000).error,
+    "Срок действия токена истек"
+  );
+});
@@ -0,0 +1,104 @@
+// Проверка входящих событий сокета (checkEvent) и разбор их аргументов
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_EVENT_LIMITS,
+  normalizeEventArgs,
+  createGuard,
+  checkEvent,
+  recordViolation,
+} = require("../lib/guard");
+
+const NOW = 1700000000000;
+const ack = () => {};
+
+function guard(overrides = {}) {
+  return createGuard({
+    limits: DEFAULT_EVENT_LIMITS,
+    maxViolations: 3,
+    violationWindow: 10000,
+    ...overrides,
+  });
+}
+
+test("ack без данных становится подтверждением, а не данными", () => {
+  assert.deepEqual(normalizeEventArgs("findMatch", [ack]), {
+    payload: undefined,
+    ack,
+    args: [undefined, ack],
+  });
+  assert.deepEqual(normalizeEventArgs("findMatch", [{ skill: 1 }, ack]), {
+    payload: { skill: 1 },
+    ack,
+    args: [{ skill: 1 }, ack],
+  });
+  assert.deepEqual(normalizeEventArgs("playerMove", [{ position: 1 }]), {
+    payload: { position: 1 },
+    ack: undefined,
+    args: [{ position: 1 }],
+  });
+});
+
+test("событию без данных передается только ack", () => {
+  assert.deepEqual(normalizeEventArgs("cancelFind", [ack]).args, [ack]);
+  assert.deepEqual(normalizeEventArgs("endPause", [{}, ack]).args, [ack]);
+  assert.deepEqual(normalizeEventArgs("pong", []).args, []);
+});
+
+test("корректное событие пропускается", () => {
+  assert.equal(
+    checkEvent(guard(), "joinMatch", { matchId: "m1" }, NOW, ack),
+    null
+  );
+  assert.equal(checkEvent(guard(), "findMatch", undefined, NOW, ack), null);
+});
+
+test("неизвестное событие отклоняется", () => {
+  assert.equal(
+    checkEvent(guard(), "dropDatabase", {}, NOW, ack).code,
+    "unknownEvent"
+  );
+});
+
+test("данные проверяются по схеме события", () => {
+  const check = payload => checkEvent(guard(), "joinMatch", payload, NOW, ack);
+
+  assert.equal(check(undefined).code, "invalidPayload");
+  assert.equal(check({ matchId: "../x" }).code, "invalidPayload");
+  assert.equal(check({ matchId: "m1", role: "admin" }).code, "invalidPayload");
+  assert.equal(
+    checkEvent(guard(), "playerMove", { position: { x: NaN, y: 0 } }, NOW).code,
+    "invalidPayload"
+  );
+});
+
+test("событие с ответом без функции подтверждения отклоняется", () => {
+  assert.equal(
+    checkEvent(guard(), "findMatch", {}, NOW, undefined).code,
+    "missingAck"
+  );
+  // События без обязательного ответа ack не требуют
+  assert.equal(checkEvent(guard(), "chatMessage", { text: "gg" }, NOW), null);
+});
+
+test("частота событий ограничивается ведром токенов", () => {
+  const limits = { ...DEFAULT_EVENT_LIMITS, emote: { rate: 1, burst: 2 } };
+  const g = guard({ limits });
+  const emote = now => checkEvent(g, "emote", { emote: "gg" }, now);
+
+  assert.equal(emote(NOW), null);
+  assert.equal(emote(NOW), null);
+  assert.equal(emote(NOW).code, "rateLimited");
+  assert.equal(emote(NOW + 1000), null);
+});
+
+test("отключение после превышения числа нарушений в окне", () => {
+  const g = guard();
+
+  assert.equal(recordViolation(g, NOW), false);
+  assert.equal(recordViolation(g, NOW + 1), false);
+  assert.equal(recordViolation(g, NOW + 2), false);
+  assert.equal(recordViolation(g, NOW + 3), true);
+  // Старые нарушения выходят из окна
+  assert.equal(recordViolation(g, NOW + 20000), false);
+});
@@ -0,0 +1,137 @@
+// Повтор: сохранение и загрузка без потерь, воспроизведение по seed
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createSimulation,
+  resetSimulation,
+  enforcePlayerConstraints,
+  setMalletPosition,
+  stepSimulation,
+} = require("../lib/simulation");
+const {
+  createRecording,
+  recordFrame,
+  recordEvent,
+  replayFilePath,
+  saveReplay,
+  loadReplay,
+  createPlayback,
+} = require("../lib/replay");
+
+const START_TIME = 1700000000000;
+
+function createState() {
+  return {
+    pucks: [],
+    player1Pos: {},
+    player2Pos: {},
+    canvasSize: { width: 500, height: 1000 },
+    isPlaying: true,
+    gameOver: false,
+  };
+}
+
+// Записать матч с seed; каждый тик - кадр, события - как на сервере
+function recordMatch(seed, initialState) {
+  const state = JSON.parse(JSON.stringify(initialState));
+  const sim = createSimulation(state, { seed });
+  const recording = createRecording({
+    matchId: "m1",
+    seed,
+    gameState: state,
+    startTime: START_TIME,
+  });
+
+  for (let i = 0; i < 600; i++) {
+    const position = enforcePlayerConstraints(state.canvasSize, 1, {
+      x: 250 + 120 * Math.sin(i / 20),
+      y: 620 - 60 * Math.cos(i / 15),
+    });
+    setMalletPosition(sim, 1, position);
+
+    const now = START_TIME + Math.round((i * 1000) / 120);
+    for (const event of stepSimulation(sim)) {
+      recordEvent(recording, now, event.type, { gameState: state });
+    }
+    recordFrame(recording, now, sim.tick, state);
+  }
+
+  return recording;
+}
+
+function kickedOffState() {
+  const state = createState();
+  resetSimulation(createSimulation(state));
+  state.pucks[0].velocity = { x: 3, y: 7 };
+  return state;
+}
+
+test("повтор совпадает с повторной симуляцией по seed и начальному состоянию", () => {
+  const recording = recordMatch(42, kickedOffState());
+  const replayed = recordMatch(recording.seed, recording.initialState);
+
+  assert.ok(recording.events.length > 0);
+  assert.deepEqual(replayed.frames, recording.frames);
+  assert.deepEqual(replayed.events, recording.events);
+});
+
+test("сохраненный повтор загружается без изменений", async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "replay-test-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const recording = recordMatch(42, kickedOffState());
+  await new Promise((resolve, reject) =>
+    saveReplay(directory, recording, error =>
+      error ? reject(error) : resolve()
+    )
+  );
+  const loaded = await new Promise((resolve, reject) =>
+    loadReplay(directory, "m1", (error, replay) =>
+      error ? reject(error) : resolve(replay)
+    )
+  );
+
+  const lastFrame = recording.frames[recording.frames.length - 1];
+  assert.deepEqual(loaded, { ...recording, duration: lastFrame[0] });
+});
+
+test("ID матча не выводит файл повтора за пределы каталога", () => {
+  const file = replayFilePath("/replays", "../../etc/passwd");
+  assert.equal(path.dirname(file), "/replays");
+});
+
+test("воспроизведение выдает кадры и события по порядку", async () => {
+  const state = createState();
+  const sim = createSimulation(state, { physics: { puckCount: 2 } });
+  resetSimulation(sim);
+  const recording = createRecording({
+    matchId: "m2",
+    seed: 1,
+    gameState: state,
+    startTime: START_TIME,
+  });
+  recordFrame(recording, START_TIME, 1, state);
+  recordEvent(recording, START_TIME + 2, "goal", { scorer: 1 });
+  state.pucks[1].pos.x = 123.456;
+  recordFrame(recording, START_TIME + 4, 2, state);
+
+  const played = [];
+  await new Promise(resolve =>
+    createPlayback(recording, 2, {
+      onFrame: frame => played.push(frame),
+      onEvent: event => played.push(event),
+      onEnd: resolve,
+    })
+  );
+
+  assert.deepEqual(
+    played.map(item => item.tick || item.type),
+    [1, "goal", 2]
+  );
+  assert.equal(played[2].pucks.length, 2);
+  assert.deepEqual(played[2].pucks[1].pos, { x: 123.46, y: 500 });
+  assert.deepEqual(played[2].player1Pos, state.player1Pos);
+});
@@ -0,0 +1,100 @@
+// Детерминированность симуляции: одинаковые seed и ввод дают одинаковую игру
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createSimulation,
+  resetSimulation,
+  enforcePlayerConstraints,
+  setMalletPosition,
+  stepSimulation,
+  advanceSimulation,
+} = require("../lib/simulation");
+const { createPowerUps } = require("../lib/powerups");
+const { resolveRules, physicsFromRules } = require("../lib/rules");
+
+function createState() {
+  return {
+    pucks: [],
+    player1Pos: {},
+    player2Pos: {},
+    canvasSize: { width: 500, height: 1000 },
+    isPlaying: true,
+    gameOver: false,
+  };
+}
+
+// Сброс с ударом шайбы к воротам игрока 1
+function kickOff(sim) {
+  resetSimulation(sim);
+  sim.state.pucks[0].velocity = { x: 3, y: 7 };
+}
+
+// Сыграть ticks тиков: игрок 1 водит битой по кругу, после гола - сброс
+function play({ seed = 42, preset = "classic", tickRate, ticks = 3000 }) {
+  const { rules } = resolveRules(preset);
+  const state = createState();
+  const sim = createSimulation(state, {
+    seed,
+    physics: physicsFromRules(rules),
+    powerUps: rules.powerUps ? createPowerUps(seed, tickRate || 120) : null,
+    tickRate,
+  });
+  kickOff(sim);
+
+  const events = [];
+  for (let i = 0; i < ticks; i++) {
+    if (i % 3 === 0) {
+      const position = enforcePlayerConstraints(state.canvasSize, 1, {
+        x: 250 + 120 * Math.sin(i / 20),
+        y: 620 - 60 * Math.cos(i / 15),
+      });
+      setMalletPosition(sim, 1, position);
+    }
+
+    for (const event of stepSimulation(sim)) {
+      events.push([sim.tick, event.type]);
+      if (event.type === "goal") kickOff(sim);
+    }
+  }
+
+  return { state, events, tick: sim.tick };
+}
+
+test("одинаковые seed и ввод дают одинаковую игру", () => {
+  const first = play({});
+  const second = play({});
+
+  assert.ok(first.events.some(([, type]) => type === "collision"));
+  assert.ok(first.events.some(([, type]) => type === "goal"));
+  assert.deepEqual(second, first);
+});
+
+test("бонусы аркады тоже воспроизводятся по seed", () => {
+  const first = play({ preset: "arcade", seed: 7 });
+  const second = play({ preset: "arcade", seed: 7 });
+
+  assert.ok(first.events.some(([, type]) => type === "powerUpCollected"));
+  assert.deepEqual(second, first);
+});
+
+test("advanceSimulation не считает больше 100 мс за вызов", () => {
+  const sim = createSimulation(createState());
+  resetSimulation(sim);
+
+  assert.equal(advanceSimulation(sim, 5000).steps, 12);
+  assert.equal(advanceSimulation(sim, 25).steps, 3);
+});
+
+test("движение шайбы не зависит от частоты тиков", () => {
+  const distances = [120, 240].map(tickRate => {
+    const state = createState();
+    const sim = createSimulation(state, { tickRate });
+    resetSimulation(sim);
+    state.pucks[0].velocity = { x: 0, y: 4 };
+
+    for (let i = 0; i < tickRate / 4; i++) stepSimulation(sim);
+    return state.pucks[0].pos.y - 500;
+  });
+
+  assert.ok(Math.abs(distances[0] - distances[1]) < 0.1);
+});
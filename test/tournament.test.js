@@ -0,0 +1,143 @@
+// Турнирная сетка: посев, продвижение победителей и итог турнира
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createTournament,
+  registerPlayer,
+  startTournament,
+  recordMatchResult,
+  getStandings,
+} = require("../lib/tournament");
+
+const NOW = 1700000000000;
+
+// Турнир с игроками и рейтингами; возвращает турнир и первые готовые встречи
+function startWith(ratings, format = "singleElimination") {
+  const { tournament } = createTournament(
+    { name: "Кубок", format, maxPlayers: 8 },
+    { bestOf: 1 },
+    NOW
+  );
+  Object.entries(ratings).forEach(([playerId, rating]) =>
+    registerPlayer(tournament, { playerId, rating })
+  );
+  const { ready } = startTournament(tournament, NOW);
+  return { tournament, ready };
+}
+
+function win(tournament, pairing, winner) {
+  const loser = pairing.players.find(playerId => playerId !== winner);
+  return recordMatchResult(
+    tournament,
+    pairing.id,
+    { winner, goals: { [winner]: 7, [loser]: 3 } },
+    NOW
+  ).ready;
+}
+
+test("сильнейшие посевы встречаются только в финале", () => {
+  const { tournament, ready } = startWith({
+    a: 1500,
+    b: 1600,
+    c: 1700,
+    d: 1400,
+  });
+
+  assert.deepEqual(
+    tournament.players.map(p => [p.playerId, p.seed]),
+    [
+      ["c", 1],
+      ["b", 2],
+      ["a", 3],
+      ["d", 4],
+    ]
+  );
+  assert.deepEqual(
+    ready.map(pairing => pairing.players),
+    [
+      ["c", "d"],
+      ["b", "a"],
+    ]
+  );
+});
+
+test("победители проходят в следующий тур, финал определяет чемпиона", () => {
+  const { tournament, ready } = startWith({
+    a: 1500,
+    b: 1600,
+    c: 1700,
+    d: 1400,
+  });
+  const [first, second] = ready;
+
+  assert.deepEqual(win(tournament, first, "d"), []);
+  const [final] = win(tournament, second, "a");
+  assert.deepEqual(final.players, ["d", "a"]);
+  assert.equal(final.status, "ready");
+  assert.equal(tournament.status, "running");
+
+  assert.deepEqual(win(tournament, final, "a"), []);
+  assert.equal(tournament.status, "finished");
+  assert.equal(tournament.winner, "a");
+});
+
+test("при ничьей на выбывание проходит более высокий посев", () => {
+  const { tournament, ready } = startWith({ a: 1500, b: 1600 });
+
+  recordMatchResult(tournament, ready[0].id, { winner: null, goals: {} }, NOW);
+  assert.equal(tournament.winner, "b");
+});
+
+test("игрок без соперника проходит дальше без игры", () => {
+  const { tournament, ready } = startWith({ a: 1500, b: 1600, c: 1700 });
+
+  // Первый посев получает свободный проход
+  assert.equal(tournament.rounds[0][0].bye, true);
+  assert.deepEqual(
+    ready.map(pairing => pairing.players),
+    [["b", "a"]]
+  );
+
+  const [final] = win(tournament, ready[0], "b");
+  assert.deepEqual(final.players, ["c", "b"]);
+});
+
+test("результат уже сыгранной встречи не учитывается повторно", () => {
+  const { tournament, ready } = startWith({ a: 1500, b: 1600 });
+
+  win(tournament, ready[0], "a");
+  assert.equal(
+    recordMatchResult(tournament, ready[0].id, { winner: "b" }, NOW),
+    null
+  );
+  assert.equal(tournament.winner, "a");
+});
+
+test("круговой турнир открывает туры по очереди и побеждает лидер", () => {
+  const { tournament, ready } = startWith(
+    { a: 1500, b: 1600, c: 1700 },
+    "roundRobin"
+  );
+  let pending = ready;
+
+  while (tournament.status === "running") {
+    const next = [];
+    for (const pairing of pending.filter(p => !p.bye)) {
+      // Побеждает игрок с меньшим ID
+      const winner = [...pairing.players].sort()[0];
+      next.push(...win(tournament, pairing, winner));
+    }
+    pending = next;
+  }
+
+  assert.equal(tournament.winner, "a");
+  assert.deepEqual(
+    getStandings(tournament).map(row => row.playerId),
+    ["a", "b", "c"]
+  );
+});
+
+test("встречи из нескольких игр в турнире не поддерживаются", () => {
+  const { error } = createTournament({ name: "Кубок" }, { bestOf: 3 }, NOW);
+  assert.equal(error, "Встречи турнира играются одной игрой (bestOf 1)");
+});